@@ -1,3 +1,4 @@
+/* globals BigInt: false */
 'use strict';
 
 import * as utf8 from 'utf8';
@@ -19,10 +20,149 @@ if (_globals != null && _globals.ArrayBuffer != null &&
   };
 }
 
+// Number.MAX_SAFE_INTEGER isn't available everywhere, so we define our own.
+const MAX_SAFE_INTEGER = 9007199254740991;
+
+// The most bytes that a varuint or varint can take up. See
+// VariableLengthUnsignedIntegerCodec.
+const MAX_VARINT_BYTE_LENGTH = 8;
+
+// Schemas reserve this id for handshake packets.
+const HANDSHAKE_ID = 0;
+
+// The types that schemas can use to encode definition ids.
+const ID_TYPES = ['uint8', 'uint16', 'uint32', 'varuint'];
+
+// The largest finite value that can be stored in a float32.
+const MAX_FLOAT32 = 3.4028234663852886e38;
+
+// The typed array types that arrays of numeric values can be decoded into.
+const TYPED_ARRAYS = {
+  bigInt64: 'BigInt64Array',
+  bigUint64: 'BigUint64Array',
+  float32: 'Float32Array',
+  float64: 'Float64Array',
+  int8: 'Int8Array',
+  int16: 'Int16Array',
+  int32: 'Int32Array',
+  uint8: 'Uint8Array',
+  uint16: 'Uint16Array',
+  uint32: 'Uint32Array',
+};
+
+// Native UTF-8 encoders and decoders, if they're available. See StringCodec.
+// The decoder throws for invalid UTF-8, like the utf8 package does, and
+// keeps byte order marks.
+const textEncoder = (_globals.TextEncoder != null ?
+                     new _globals.TextEncoder() : null);
+const textDecoder = (_globals.TextDecoder != null ?
+                     new _globals.TextDecoder('utf-8', {
+                       fatal: true,
+                       ignoreBOM: true,
+                     }) : null);
+const NodeBuffer = (_globals.Buffer != null &&
+                    typeof _globals.Buffer.from === 'function' ?
+                    _globals.Buffer : null);
+
+// Typed arrays always use the host's byte order.
+const HOST_LITTLE_ENDIAN = (_globals.Uint16Array != null &&
+  new Uint8Array(new _globals.Uint16Array([1]).buffer)[0] === 1);
+
+// Options that limit what definitions will decode. See Definition.
+const DECODE_LIMITS = ['maxArrayLength', 'maxDepth', 'maxStringByteLength'];
+const DECODE_OPTIONS = ['allowTrailingBytes'].concat(DECODE_LIMITS);
+
+// Codec options that only change how values are decoded, not how they're
+// encoded, by type. These are left out of schema fingerprints, so that each
+// side of a connection can choose them.
+const DECODE_ONLY_CODEC_OPTIONS = {array: ['typed'], map: ['asMap']};
+
+// Options that define() accepts for the definition itself, rather than for
+// its codec.
+const DEFINITION_OPTIONS = ['id', 'littleEndian', 'strict'].concat(
+  DECODE_OPTIONS);
+
 export let _codecs = {};
 export let _codecTypes = {};
 
 
+/**
+* Thrown by strict mode when a value can't be encoded exactly as given. The
+* path property says which value was invalid (e.g. "spawn.points[3]").
+*
+* This isn't an ES6 class, because subclassing Error doesn't work properly
+* when compiled to ES5.
+*
+* @param {string} message
+* @param {string} path
+*/
+export function ValidationError(message, path) {
+  this.name = 'ValidationError';
+  this.message = path ? `${path}: ${message}` : message;
+  this.path = path;
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, ValidationError);
+  } else {
+    this.stack = (new Error(this.message)).stack;
+  }
+}
+ValidationError.prototype = Object.create(Error.prototype);
+ValidationError.prototype.constructor = ValidationError;
+
+
+/**
+* Thrown when a packet can't be decoded, because it's truncated, corrupted,
+* or exceeds one of the definition's decoding limits. The byteOffset property
+* is the offset into the packet where decoding failed, path says which value
+* was being decoded (e.g. "points[3]"), and key is the key of the packet's
+* definition, if it's known.
+*
+* @param {string} reason
+* @param {number} byteOffset
+*/
+export function DecodeError(reason, byteOffset) {
+  this.name = 'DecodeError';
+  this.reason = reason;
+  this.byteOffset = byteOffset;
+  this.path = '';
+  this.key = null;
+  this._formatMessage();
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, DecodeError);
+  } else {
+    this.stack = (new Error(this.message)).stack;
+  }
+}
+DecodeError.prototype = Object.create(Error.prototype);
+DecodeError.prototype.constructor = DecodeError;
+
+DecodeError.prototype._addPath = function(segment) {
+  if (!this.path) {
+    this.path = segment;
+  } else if (this.path[0] === '[') {
+    this.path = segment + this.path;
+  } else {
+    this.path = `${segment}.${this.path}`;
+  }
+  this._formatMessage();
+};
+
+DecodeError.prototype._setKey = function(key) {
+  this.key = key != null ? key : null;
+  this._formatMessage();
+};
+
+DecodeError.prototype._formatMessage = function() {
+  let location = this.key || '';
+  if (this.path) {
+    location += (location && this.path[0] !== '[') ? `.${this.path}` :
+      this.path;
+  }
+  this.message = ((location ? `${location}: ` : '') +
+                  `${this.reason} at byte ${this.byteOffset}`);
+};
+
+
 /**
 * Codecs are used as simple helpers for reading a value from or writing
 * a value to a StreamView object. They handle any clamping that needs to be
@@ -34,6 +174,15 @@ export let _codecTypes = {};
 * Other codecs (such as ArrayCodec and StringCodec) have dynamic sizes. Their
 * byte length will change depending on the values being encoded. For these
 * codecs, you can get the byte length by calling `getByteLength()`.
+*
+* Values are usually encoded into a growable writer (see StreamView), so
+* `set()` must call `streamView.reserve()` before writing any bytes.
+*
+* All codecs also have a `validate(value, path)` method, which is used by
+* strict mode. It throws a ValidationError if the value can't be encoded
+* exactly as given, instead of being clamped or coerced by `set()`. And they
+* have a `toJSON()` method, which returns a type descriptor that can be passed
+* back to `createCodec()` to create an identical codec.
 */
 class FixedLengthCodec {
   constructor({byteLength, getter, setter}) {
@@ -57,6 +206,7 @@ class FixedLengthCodec {
   }
 
   get(streamView, littleEndian) {
+    streamView.requireBytes(this.byteLength);
     const value = streamView.dataView[this.getter](streamView.byteOffset,
                                                    littleEndian);
     streamView.byteOffset += this.byteLength;
@@ -64,6 +214,7 @@ class FixedLengthCodec {
   }
 
   set(streamView, value, littleEndian) {
+    streamView.reserve(this.byteLength);
     streamView.dataView[this.setter](streamView.byteOffset, value,
                                      littleEndian);
     streamView.byteOffset += this.byteLength;
@@ -75,17 +226,64 @@ class FixedLengthCodec {
 * The array codec is a special case. It wraps another codec, but prefixes
 * it with a uint32 length value. It will first read the length, then read
 * than many of the values from the stream.
+*
+* The value codec can be a codec object, a type name, or a type descriptor
+* (e.g. `{type: 'object', fields: [...]}` for an array of objects).
+*
+* If the `length` option is given, the array always has exactly that many
+* values, and the length prefix is omitted. If the value codec also has a
+* fixed length, then so does the array.
+*
+* Otherwise, the values can't be zero bytes long (e.g. objects without any
+* fields). A corrupt length could make the decoder allocate billions of them,
+* without ever running out of data.
+*
+* If the `typed` option is given, arrays of numeric values are decoded into
+* the matching typed array (e.g. a Float32Array for float32 values). When the
+* byte order matches the host's, values are read in bulk, and the decoded
+* array is a view onto the decoded buffer if the values are aligned within
+* it. Typed arrays of the matching type are encoded in bulk, too. This
+* doesn't change the encoding, so it only needs to be enabled on one side.
 */
 class ArrayCodec {
-  constructor(valueCodec) {
-    this.valueCodec = (typeof valueCodec === 'string' ?
-                       _codecs[valueCodec] : valueCodec);
-    if (!this.valueCodec) {
-      throw new Error(`Invalid array value type '${valueCodec}'`);
+  constructor(valueCodec, options) {
+    if (valueCodec == null ||
+        (!isCodec(valueCodec) && !isValidType(getType(valueCodec)))) {
+      throw new Error(`Invalid array value type '${getType(valueCodec)}'`);
+    }
+    const {length, typed} = options || {};
+    if (length != null &&
+        (typeof length !== 'number' || length < 0 || length % 1 !== 0)) {
+      throw new Error('length must be a non-negative integer');
+    }
+    this.valueCodec = createCodec(valueCodec);
+    this.length = length != null ? length : null;
+    this.typed = !!typed;
+    if (this.typed) {
+      const {type} = codecToJSON(this.valueCodec);
+      this.TypedArray = _globals[TYPED_ARRAYS[type]];
+      if (this.TypedArray == null) {
+        throw new Error(`Typed arrays are not supported for '${type}' values`);
+      }
+    }
+    if (this.length === null && this.valueCodec.fixedByteLength &&
+        this.valueCodec.byteLength === 0) {
+      throw new Error('Array values must take up at least one byte, unless ' +
+                      'the array has a fixed length');
+    }
+    this.fixedByteLength = (this.length === 0 ||
+                            (this.length !== null &&
+                             !!this.valueCodec.fixedByteLength));
+    if (this.fixedByteLength) {
+      this.byteLength = (this.length === 0 ? 0 :
+                         this.length * this.valueCodec.getByteLength());
     }
   }
 
   getByteLength(values) {
+    if (this.fixedByteLength) {
+      return this.byteLength;
+    }
     const length = (values && values.length) || 0;
     let valueByteLength;
     if (this.valueCodec.fixedByteLength) {
@@ -100,41 +298,196 @@ class ArrayCodec {
         valueByteLength += this.valueCodec.getByteLength(values[i]);
       }
     }
+    if (this.length !== null) {
+      return valueByteLength;
+    }
     return _codecs.variableLength.getByteLength(length) + valueByteLength;
   }
 
   get(streamView, littleEndian) {
     // First read the number of elements, then read the elements
-    const length = _codecs.variableLength.get(streamView, littleEndian);
-    if (length > 0) {
-      let values = new Array(length);
-      for (let index = 0; index < length; index++) {
-        values[index] = this.valueCodec.get(streamView, littleEndian);
-      }
-      return values;
+    let length = this.length;
+    if (length === null) {
+      length = _codecs.variableLength.get(streamView, littleEndian);
+      streamView.checkLimit('maxArrayLength', length, 'Array length');
+    }
+    if (this.valueCodec.fixedByteLength) {
+      // Make sure the data isn't truncated before allocating anything.
+      streamView.requireBytes(length * this.valueCodec.byteLength);
+    }
+    streamView.enter();
+    let values;
+    if (this.typed) {
+      values = this._getTyped(streamView, length, littleEndian);
     } else {
-      return [];
+      values = new Array(length);
+      let index = 0;
+      try {
+        for (; index < length; index++) {
+          values[index] = this.valueCodec.get(streamView, littleEndian);
+        }
+      } catch (error) {
+        throw addDecodeErrorPath(error, streamView, `[${index}]`);
+      }
     }
+    streamView.leave();
+    return values;
   }
 
   set(streamView, values, littleEndian) {
     const length = (values && values.length) || 0;
-    _codecs.variableLength.set(streamView, length, littleEndian);
-    if (length > 0) {
+    if (this.length === null) {
+      _codecs.variableLength.set(streamView, length, littleEndian);
+    } else if (length !== this.length) {
+      throw new Error(`Expected an array of length ${this.length}, ` +
+                      `got ${length}`);
+    }
+    if (this.typed && values instanceof this.TypedArray &&
+        streamView.canCopyTypedArray(littleEndian)) {
+      streamView.setTypedArray(values);
+    } else if (length > 0) {
       for (let i = 0, il = values.length; i < il; i++) {
         this.valueCodec.set(streamView, values[i], littleEndian);
       }
     }
   }
+
+  validate(values, path) {
+    if (!Array.isArray(values) &&
+        !(this.typed && values instanceof this.TypedArray)) {
+      throw new ValidationError('expected an array', path);
+    }
+    if (this.length !== null && values.length !== this.length) {
+      throw new ValidationError(
+        `expected ${this.length} values, got ${values.length}`, path);
+    }
+    for (let i = 0, il = values.length; i < il; i++) {
+      this.valueCodec.validate(values[i], `${path}[${i}]`);
+    }
+  }
+
+  toJSON() {
+    let json = {type: 'array', valueType: codecToJSON(this.valueCodec)};
+    if (this.length !== null) {
+      json.length = this.length;
+    }
+    if (this.typed) {
+      json.typed = true;
+    }
+    return json;
+  }
+
+  _getTyped(streamView, length, littleEndian) {
+    if (streamView.canCopyTypedArray(littleEndian)) {
+      return streamView.getTypedArray(this.TypedArray, length);
+    }
+    let values = new this.TypedArray(length);
+    for (let i = 0; i < length; i++) {
+      values[i] = this.valueCodec.get(streamView, littleEndian);
+    }
+    return values;
+  }
+}
+
+
+/**
+* Encodes integers with an arbitrary number of bits, from 1 to 32 (e.g.
+* `{type: 'bitUint', bits: 3}` for values from 0 to 7). On their own, these are
+* stored in as few whole bytes as possible, with signed values in two's
+* complement. Their real savings come from packed objects (see ObjectCodec),
+* where they only take up the given number of bits.
+*
+* Like IntegerCodec, set() clamps values that are out of range.
+*/
+class BitIntegerCodec {
+  constructor({bits, signed} = {}) {
+    if (typeof bits !== 'number' || bits % 1 !== 0 || bits < 1 ||
+        bits > 32) {
+      throw new RangeError('bits must be an integer from 1 to 32');
+    }
+    this.signed = !!signed;
+    if (this.signed) {
+      this.minValue = -Math.pow(2, bits - 1);
+      this.maxValue = Math.pow(2, bits - 1) - 1;
+    } else {
+      this.minValue = 0;
+      this.maxValue = Math.pow(2, bits) - 1;
+    }
+    this.fixedByteLength = true;
+    this.byteLength = Math.ceil(bits / 8);
+    this.bitLength = bits;
+  }
+
+  getByteLength(value) {
+    return this.byteLength;
+  }
+
+  get(streamView, littleEndian) {
+    let value = readUnsigned(streamView, this.byteLength, littleEndian);
+    if (value >= Math.pow(2, this.bitLength)) {
+      throw new RangeError(`${value} is out of range for a ` +
+                           `${this.bitLength}-bit integer`);
+    }
+    if (value > this.maxValue) {
+      value -= Math.pow(2, this.bitLength);
+    }
+    return value;
+  }
+
+  set(streamView, value, littleEndian) {
+    value = this._clamp(value);
+    if (value < 0) {
+      value += Math.pow(2, this.bitLength);
+    }
+    writeUnsigned(streamView, value, this.byteLength, littleEndian);
+  }
+
+  getBits(bitView) {
+    return bitView.getBits(this.bitLength, this.signed);
+  }
+
+  setBits(bitView, value) {
+    bitView.setBits(this._clamp(value), this.bitLength);
+  }
+
+  validate(value, path) {
+    validateInteger(value, this.minValue, this.maxValue, path);
+  }
+
+  toJSON() {
+    return {type: this.signed ? 'bitInt' : 'bitUint', bits: this.bitLength};
+  }
+
+  _clamp(value) {
+    value = truncate(+value || 0);
+    if (value < this.minValue) {
+      return this.minValue;
+    } else if (value > this.maxValue) {
+      return this.maxValue;
+    }
+    return value;
+  }
+}
+
+
+/**
+* The signed version of BitIntegerCodec, for `{type: 'bitInt', bits: 5}`.
+*/
+class SignedBitIntegerCodec extends BitIntegerCodec {
+  constructor({bits} = {}) {
+    super({bits, signed: true});
+  }
 }
 
 
 /**
 * This is just like the uint8 codec, but get() returns true or false values.
+* In packed objects, booleans only take up a single bit.
 */
 class BooleanCodec extends FixedLengthCodec {
   constructor() {
     super({byteLength: 1, getter: 'getUint8', setter: 'setUint8'});
+    this.bitLength = 1;
   }
 
   get(streamView, littleEndian) {
@@ -144,6 +497,24 @@ class BooleanCodec extends FixedLengthCodec {
   set(streamView, value, littleEndian) {
     super.set(streamView, value ? 1 : 0, littleEndian);
   }
+
+  getBits(bitView) {
+    return bitView.getBits(1) ? true : false;
+  }
+
+  setBits(bitView, value) {
+    bitView.setBits(value ? 1 : 0, 1);
+  }
+
+  validate(value, path) {
+    if (typeof value !== 'boolean') {
+      throw new ValidationError('expected a boolean', path);
+    }
+  }
+
+  toJSON() {
+    return {type: 'boolean'};
+  }
 }
 
 
@@ -154,40 +525,120 @@ class BooleanCodec extends FixedLengthCodec {
 class BooleanArrayCodec {
   getByteLength(values) {
     const length = (values && values.length) || 0;
-    const valueBytes = Math.ceil(length / 8);
     return (_codecs.variableLength.getByteLength(length) +
-            (valueBytes * _codecs.uint8.byteLength));
+            getBitFlagsByteLength(length));
   }
 
   get(streamView, littleEndian) {
-    let values = [];
     const length = _codecs.variableLength.get(streamView, littleEndian);
-    const byteLength = Math.ceil(length / 8);
-    let i = 0;
-    for (let byteIndex = 0; byteIndex < byteLength; byteIndex++) {
-      const byte = _codecs.uint8.get(streamView, littleEndian);
-      for (let bit = 0; bit < 8 && i < length; bit++, i++) {
-        values.push(((byte >> bit) & 1) ? true : false);
-      }
-    }
-    return values;
+    streamView.checkLimit('maxArrayLength', length, 'Array length');
+    streamView.requireBytes(getBitFlagsByteLength(length));
+    return readBitFlags(streamView, length, littleEndian);
   }
 
   set(streamView, values, littleEndian) {
     const length = (values && values.length) || 0;
     _codecs.variableLength.set(streamView, length, littleEndian);
-    let byte = 0, bit = 0;
-    for (let i = 0; i < length; i++, bit++) {
-      if (bit === 8) {
-        _codecs.uint8.set(streamView, byte, littleEndian);
-        byte = 0;
-        bit = 0;
+    writeBitFlags(streamView, values, length, littleEndian);
+  }
+
+  validate(values, path) {
+    if (!Array.isArray(values)) {
+      throw new ValidationError('expected an array', path);
+    }
+    for (let i = 0, il = values.length; i < il; i++) {
+      _codecs.boolean.validate(values[i], `${path}[${i}]`);
+    }
+  }
+
+  toJSON() {
+    return {type: 'booleanArray'};
+  }
+}
+
+
+/**
+* Encodes one of a fixed list of values (usually strings) as its index in the
+* list. The smallest codec that can represent every index is used: uint8 for
+* up to 256 values, uint16 for up to 65536 values, and varuint beyond that.
+*
+* set() throws an error if the value isn't in the list, and get() throws an
+* error if the decoded index is out of range for the list.
+*
+* In packed objects, the index only takes up as many bits as it needs (e.g.
+* 2 bits for 3 or 4 values).
+*/
+class EnumCodec {
+  constructor({values} = {}) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error('values must be a non-empty array');
+    }
+    this.values = values.slice();
+    for (let i = 0, il = this.values.length; i < il; i++) {
+      if (this.values.indexOf(this.values[i]) !== i) {
+        throw new Error(`Duplicate enum value '${this.values[i]}'`);
       }
-      byte |= (values[i] ? 1 : 0) << bit;
     }
-    if (bit > 0) {
-      _codecs.uint8.set(streamView, byte, littleEndian);
+    if (this.values.length <= 256) {
+      this.indexCodec = _codecs.uint8;
+    } else if (this.values.length <= 65536) {
+      this.indexCodec = _codecs.uint16;
+    } else {
+      this.indexCodec = _codecs.varuint;
+    }
+    this.fixedByteLength = !!this.indexCodec.fixedByteLength;
+    if (this.fixedByteLength) {
+      this.byteLength = this.indexCodec.byteLength;
+    }
+    this.bitLength = getBitLength(this.values.length);
+  }
+
+  getByteLength(value) {
+    if (this.fixedByteLength) {
+      return this.byteLength;
+    }
+    return this.indexCodec.getByteLength(this._getIndex(value));
+  }
+
+  get(streamView, littleEndian) {
+    return this._getValue(this.indexCodec.get(streamView, littleEndian));
+  }
+
+  set(streamView, value, littleEndian) {
+    this.indexCodec.set(streamView, this._getIndex(value), littleEndian);
+  }
+
+  getBits(bitView) {
+    return this._getValue(bitView.getBits(this.bitLength));
+  }
+
+  setBits(bitView, value) {
+    bitView.setBits(this._getIndex(value), this.bitLength);
+  }
+
+  validate(value, path) {
+    if (this.values.indexOf(value) === -1) {
+      throw new ValidationError(`invalid enum value '${value}'`, path);
+    }
+  }
+
+  toJSON() {
+    return {type: 'enum', values: this.values.slice()};
+  }
+
+  _getValue(index) {
+    if (index >= this.values.length) {
+      throw new RangeError(`Invalid enum index ${index}`);
+    }
+    return this.values[index];
+  }
+
+  _getIndex(value) {
+    const index = this.values.indexOf(value);
+    if (index === -1) {
+      throw new Error(`Invalid enum value '${value}'`);
     }
+    return index;
   }
 }
 
@@ -215,6 +666,19 @@ class FloatCodec extends FixedLengthCodec {
       throw new RangeError('byteLength must be 4 or 8 for floats');
     }
   }
+
+  validate(value, path) {
+    if (typeof value !== 'number' || value !== value) {
+      throw new ValidationError('expected a number', path);
+    } else if (this.byteLength === 4 && isFinite(value) &&
+               Math.abs(value) > MAX_FLOAT32) {
+      throw new ValidationError(`${value} is out of range`, path);
+    }
+  }
+
+  toJSON() {
+    return {type: `float${this.byteLength * 8}`};
+  }
 }
 
 
@@ -226,6 +690,7 @@ class FloatCodec extends FixedLengthCodec {
 class IntegerCodec extends FixedLengthCodec {
   constructor({byteLength, signed}) {
     const bitLength = byteLength * 8;
+    const type = `${signed ? 'int' : 'uint'}${bitLength}`;
     let getter, setter, minValue, maxValue;
     if (signed) {
       minValue = -Math.pow(2, bitLength - 1);
@@ -239,8 +704,11 @@ class IntegerCodec extends FixedLengthCodec {
       setter = `setUint${bitLength}`;
     }
     super({byteLength: byteLength, getter: getter, setter: setter});
+    this.type = type;
+    this.signed = !!signed;
     this.minValue = minValue;
     this.maxValue = maxValue;
+    this.bitLength = bitLength;
   }
 
   set(streamView, value, littleEndian) {
@@ -251,394 +719,3206 @@ class IntegerCodec extends FixedLengthCodec {
     }
     super.set(streamView, value, littleEndian);
   }
-}
-
 
-class ObjectCodec {
-  /**
-  * @param Array.<{key: string, type: string, valueType: string}>} fields
-  *   The fields that make up the object. These will be converted into
-  *   {Field} instances.
-  */
-  constructor(fields) {
-    this.fields = fields.map((options) => {
-      return new Field(options);
-    });
+  getBits(bitView) {
+    return bitView.getBits(this.bitLength, this.signed);
   }
 
-  /**
-  * Calculate the number of bytes required to encode the given object.
-  *
-  * @param {Object} object The object to be encoded.
-  * @returns {number}
-  */
-  getByteLength(object) {
-    if (this.byteLength != null) {
-      return this.byteLength;
-    }
-    let byteLength = 0;
-    let fixedByteLength = true;
-    for (let i = 0, il = this.fields.length; i < il; i++) {
-      const {key, codec} = this.fields[i];
-      byteLength += codec.getByteLength(object[key]);
-      fixedByteLength = fixedByteLength && codec.fixedByteLength;
-    }
-    if (fixedByteLength) {
-      // If all the fields had a fixed length, cache the definition's length.
-      this.byteLength = byteLength;
-    }
-    return byteLength;
+  setBits(bitView, value) {
+    value = truncate(+value || 0);
+    bitView.setBits(Math.min(Math.max(value, this.minValue), this.maxValue),
+                    this.bitLength);
   }
 
-  /**
-  * Read an object from the given stream.
-  *
-  * @param {StreamView} streamView
-  * @returns {Object}
-  */
-  get(streamView) {
-    let object = {};
-    for (let i = 0, il = this.fields.length; i < il; i++) {
-      const {key, codec} = this.fields[i];
-      object[key] = codec.get(streamView, this.littleEndian);
-    }
-    return object;
+  validate(value, path) {
+    validateInteger(value, this.minValue, this.maxValue, path);
   }
 
-  /**
-  * Write an object into the given stream.
-  *
-  * @param {StreamView} streamView
-  * @param {Object} object
-  */
-  set(streamView, object) {
-    for (let i = 0, il = this.fields.length; i < il; i++) {
-      const {key, codec} = this.fields[i];
-      codec.set(streamView, object[key], this.littleEndian);
-    }
+  toJSON() {
+    return {type: this.type};
   }
 }
 
 
 /**
-* The string codec is another special case. JavaScript strings are UTF-16,
-* which doesn't encode very efficiently for network traffic. The codec first
-* converts the strings to UTF-8, then converts that to a byte array. The
-* byte array is prefixed with the length of the UTF-8 string.
+* Encodes 64-bit integer values, both signed and unsigned. JavaScript numbers
+* can't exactly represent every 64-bit integer, so there are two modes:
+*
+* - By default, get() returns a number, and throws a RangeError if the value
+*   is outside of the safe integer range. set() also throws a RangeError for
+*   values that can't be represented exactly. This mode works without BigInt.
+* - If bigint is true, get() returns a BigInt. Values that are out of range
+*   for the given type will be clamped by set(), like IntegerCodec does.
+*   DataViews without BigInt methods (e.g. older Safari) are supported by
+*   reading and writing two 32-bit halves instead.
+*
+* set() accepts either numbers or BigInt values in both modes.
 */
-class StringCodec {
-  getByteLength(value) {
-    if (value) {
-      // FIXME: This sucks, shouldn't need to encode strings twice.
-      value = utf8.encode(value);
-      return (_codecs.variableLength.getByteLength(value.length) +
-              (_codecs.uint8.byteLength * value.length));
-    } else {
-      return _codecs.variableLength.getByteLength(0);
+class Integer64Codec extends FixedLengthCodec {
+  constructor({signed, bigint}) {
+    super({
+      byteLength: 8,
+      getter: signed ? 'getBigInt64' : 'getBigUint64',
+      setter: signed ? 'setBigInt64' : 'setBigUint64',
+    });
+    this.signed = !!signed;
+    this.bigint = !!bigint;
+    if (this.bigint && typeof BigInt === 'function') {
+      if (this.signed) {
+        this.minValue = -(BigInt(1) << BigInt(63));
+        this.maxValue = (BigInt(1) << BigInt(63)) - BigInt(1);
+      } else {
+        this.minValue = BigInt(0);
+        this.maxValue = (BigInt(1) << BigInt(64)) - BigInt(1);
+      }
     }
   }
 
   get(streamView, littleEndian) {
-    // First read the number of characters, then the characters
-    let length = _codecs.variableLength.get(streamView, littleEndian);
-    if (length > 0) {
-      let string = '';
-      for (let i = 0; i < length; i++) {
-        string += String.fromCharCode(
-          _codecs.uint8.get(streamView, littleEndian));
+    if (this.bigint) {
+      if (typeof streamView.dataView[this.getter] === 'function') {
+        return super.get(streamView, littleEndian);
       }
-      // The string is in UTF-8 format, convert it back to UTF-16
-      return utf8.decode(string);
-    } else {
-      return '';
+      // Some DataViews support BigInt values, but not BigInt methods.
+      const {high, low} = this._getHalves(streamView, littleEndian);
+      return (BigInt(high) << BigInt(32)) + BigInt(low);
+    }
+    // Read the value as two 32-bit halves, so this works without BigInt.
+    const {high, low} = this._getHalves(streamView, littleEndian);
+    const value = high * 4294967296 + low;
+    if (value > MAX_SAFE_INTEGER || value < -MAX_SAFE_INTEGER) {
+      throw new RangeError(`${value} is outside the safe integer range`);
     }
+    return value;
   }
 
   set(streamView, value, littleEndian) {
-    if (value) {
-      // Convert the string to UTF-8 to save space
-      const utf8String = utf8.encode(value);
-      _codecs.variableLength.set(streamView, utf8String.length, littleEndian);
-      for (let i = 0; i < utf8String.length; i++) {
-        _codecs.uint8.set(streamView, utf8String.charCodeAt(i), littleEndian);
-      }
+    if (this.bigint) {
+      this._setBigInt(streamView, value, littleEndian);
+      return;
+    }
+    if (typeof value === 'number' || value == null) {
+      value = truncate(+value || 0);
     } else {
-      // Undefined or empty string, just send a zero length
-      _codecs.variableLength.set(streamView, 0, littleEndian);
+      value = Number(value);
     }
+    if (value > MAX_SAFE_INTEGER || value < -MAX_SAFE_INTEGER) {
+      throw new RangeError(`${value} is outside the safe integer range`);
+    }
+    if (!this.signed && value < 0) {
+      value = 0;
+    }
+    const high = Math.floor(value / 4294967296);
+    this._setHalves(streamView, high, value - (high * 4294967296),
+                    littleEndian);
   }
-}
-
 
-/**
-* This is a variable length unsigned integer used to read and write lengths
-* of arrays. In the worst case scenario of a very high length, it will use an
-* extra byte, but in most cases it will use less.
-*
-* This is encoded by using the 7 lower bits to represent the length, and the
-* high 8th bit to indicate whether there is another byte to read.
-*/
-class VariableLengthUnsignedIntegerCodec {
-  getByteLength(value) {
-    const bits = Math.floor(polyfill.log2(value)) + 1;
-    const bytes = Math.max(Math.ceil(bits / 7), 1);
-    let byteLength = bytes * _codecs.uint8.byteLength;
-    return byteLength;
+  validate(value, path) {
+    if (typeof value === 'number') {
+      validateInteger(value, this.signed ? -MAX_SAFE_INTEGER : 0,
+                      MAX_SAFE_INTEGER, path);
+    } else if (!isBigInt(value)) {
+      throw new ValidationError('expected an integer', path);
+    } else if (this.bigint ?
+               (value < this.minValue || value > this.maxValue) :
+               (value < (this.signed ? -MAX_SAFE_INTEGER : 0) ||
+                value > MAX_SAFE_INTEGER)) {
+      throw new ValidationError(`${value} is out of range`, path);
+    }
   }
 
-  get(streamView, littleEndian) {
-    let length = 0;
-    for (let i = 0, byte = 128; (byte & 128) !== 0; i++) {
-      byte = _codecs.uint8.get(streamView, littleEndian);
-      length |= (byte & 127) << (i * 7);
+  toJSON() {
+    if (this.bigint) {
+      return {type: this.signed ? 'bigInt64' : 'bigUint64'};
+    } else {
+      return {type: this.signed ? 'int64' : 'uint64'};
     }
-    return length;
   }
 
-  set(streamView, value, littleEndian) {
-    if (!value) {
-      _codecs.uint8.set(streamView, 0, littleEndian);
-      return;
+  _setBigInt(streamView, value, littleEndian) {
+    if (typeof value === 'number' || value == null) {
+      value = BigInt(truncate(+value || 0));
+    } else {
+      value = BigInt(value);
     }
-    let remainder = value;
-    while (remainder > 0) {
-      let byte = remainder & 127;
-      remainder >>= 7;
-      if (remainder) {
-        // There are still bits left, so indicate that the stream will have
-        // another length byte by setting the high bit.
-        byte |= 128;
-      }
-      _codecs.uint8.set(streamView, byte, littleEndian);
+    if (value < this.minValue) {
+      value = this.minValue;
+    } else if (value > this.maxValue) {
+      value = this.maxValue;
+    }
+    if (typeof streamView.dataView[this.setter] === 'function') {
+      super.set(streamView, value, littleEndian);
+    } else {
+      this._setHalves(streamView, Number(value >> BigInt(32)),
+                      Number(value & BigInt(4294967295)), littleEndian);
+    }
+  }
+
+  _getHalves(streamView, littleEndian) {
+    streamView.requireBytes(this.byteLength);
+    const {dataView, byteOffset} = streamView;
+    const highOffset = byteOffset + (littleEndian ? 4 : 0);
+    const lowOffset = byteOffset + (littleEndian ? 0 : 4);
+    const high = (this.signed ?
+                  dataView.getInt32(highOffset, littleEndian) :
+                  dataView.getUint32(highOffset, littleEndian));
+    const low = dataView.getUint32(lowOffset, littleEndian);
+    streamView.byteOffset += this.byteLength;
+    return {high, low};
+  }
+
+  _setHalves(streamView, high, low, littleEndian) {
+    streamView.reserve(this.byteLength);
+    const {dataView, byteOffset} = streamView;
+    const highOffset = byteOffset + (littleEndian ? 4 : 0);
+    const lowOffset = byteOffset + (littleEndian ? 0 : 4);
+    if (this.signed) {
+      dataView.setInt32(highOffset, high, littleEndian);
+    } else {
+      dataView.setUint32(highOffset, high, littleEndian);
+    }
+    dataView.setUint32(lowOffset, low, littleEndian);
+    streamView.byteOffset += this.byteLength;
+  }
+}
+
+
+/**
+* The map codec encodes a dictionary, such as `{[playerId]: score}`, or a
+* JavaScript Map. The number of entries is written first, followed by each
+* key and value. Keys can be strings or any integer type (`keyType`), and
+* values can be any type (`valueType`).
+*
+* Values are decoded into plain objects, or into Maps if the `asMap` option
+* is given. Either can be encoded. Integer keys from plain objects are
+* converted from strings to numbers (or to BigInts, for bigInt64 and
+* bigUint64 keys).
+*
+* Keys aren't clamped or coerced like other values, since that could turn
+* two different keys into the same one. set() throws a RangeError for keys
+* that the key type can't represent exactly, and get() throws one for
+* duplicate keys.
+*/
+class MapCodec {
+  constructor({keyType, valueType, asMap} = {}) {
+    if (keyType == null || (!isCodec(keyType) &&
+                            !isValidType(getType(keyType)))) {
+      throw new Error(`Invalid map key type '${getType(keyType)}'`);
+    }
+    if (valueType == null || (!isCodec(valueType) &&
+                              !isValidType(getType(valueType)))) {
+      throw new Error(`Invalid map value type '${getType(valueType)}'`);
+    }
+    this.keyCodec = createCodec(keyType);
+    this.valueCodec = createCodec(valueType);
+    this.integerKeys = (this.keyCodec instanceof IntegerCodec ||
+                        this.keyCodec instanceof Integer64Codec ||
+                        this.keyCodec instanceof BitIntegerCodec ||
+                        this.keyCodec instanceof
+                          VariableLengthUnsignedIntegerCodec ||
+                        this.keyCodec instanceof
+                          VariableLengthSignedIntegerCodec);
+    this.bigintKeys = (this.keyCodec instanceof Integer64Codec &&
+                       this.keyCodec.bigint);
+    if (!this.integerKeys && !(this.keyCodec instanceof StringCodec)) {
+      throw new Error('Map keys must be strings or integers, not ' +
+                      `'${codecToJSON(this.keyCodec).type}'`);
+    }
+    this.asMap = !!asMap;
+  }
+
+  getByteLength(map) {
+    let byteLength = _codecs.variableLength.getByteLength(this._getSize(map));
+    this._forEach(map, (key, value) => {
+      byteLength += (this.keyCodec.getByteLength(key) +
+                     this.valueCodec.getByteLength(value));
+    });
+    return byteLength;
+  }
+
+  get(streamView, littleEndian) {
+    const size = _codecs.variableLength.get(streamView, littleEndian);
+    streamView.checkLimit('maxArrayLength', size, 'Map size');
+    streamView.enter();
+    let map = this.asMap ? new Map() : {};
+    for (let i = 0; i < size; i++) {
+      const key = this.keyCodec.get(streamView, littleEndian);
+      if (this.asMap ? map.has(key) :
+          Object.prototype.hasOwnProperty.call(map, key)) {
+        throw new RangeError(`Duplicate map key '${key}'`);
+      }
+      let value;
+      try {
+        value = this.valueCodec.get(streamView, littleEndian);
+      } catch (error) {
+        throw addDecodeErrorPath(error, streamView,
+                                 this.integerKeys ? `[${key}]` : key);
+      }
+      if (this.asMap) {
+        map.set(key, value);
+      } else if (key === '__proto__') {
+        // Don't let decoded data replace the object's prototype.
+        Object.defineProperty(map, key, {
+          configurable: true,
+          enumerable: true,
+          value: value,
+          writable: true,
+        });
+      } else {
+        map[key] = value;
+      }
+    }
+    streamView.leave();
+    return map;
+  }
+
+  set(streamView, map, littleEndian) {
+    _codecs.variableLength.set(streamView, this._getSize(map), littleEndian);
+    this._forEach(map, (key, value, name) => {
+      try {
+        this.keyCodec.validate(key);
+      } catch (error) {
+        throw new RangeError(`Invalid map key '${name}': ${error.message}`);
+      }
+      this.keyCodec.set(streamView, key, littleEndian);
+      this.valueCodec.set(streamView, value, littleEndian);
+    });
+  }
+
+  validate(map, path) {
+    if (map == null || typeof map !== 'object' || Array.isArray(map)) {
+      throw new ValidationError('expected an object or a Map', path);
+    }
+    this._forEach(map, (key, value, name) => {
+      const keyPath = this.integerKeys ? `${path}[${name}]` :
+        (path ? `${path}.${name}` : name);
+      this.keyCodec.validate(key, keyPath);
+      this.valueCodec.validate(value, keyPath);
+    });
+  }
+
+  toJSON() {
+    let json = {
+      type: 'map',
+      keyType: codecToJSON(this.keyCodec),
+      valueType: codecToJSON(this.valueCodec),
+    };
+    if (this.asMap) {
+      json.asMap = true;
+    }
+    return json;
+  }
+
+  _getSize(map) {
+    if (map == null) {
+      return 0;
+    } else if (isMap(map)) {
+      return map.size;
+    } else {
+      return Object.keys(map).length;
+    }
+  }
+
+  _forEach(map, callback) {
+    if (map == null) {
+      return;
+    } else if (isMap(map)) {
+      map.forEach((value, key) => {
+        callback(key, value, key);
+      });
+    } else {
+      const keys = Object.keys(map);
+      for (let i = 0, il = keys.length; i < il; i++) {
+        callback(this._toKey(keys[i]), map[keys[i]], keys[i]);
+      }
+    }
+  }
+
+  /**
+  * Convert a plain object's key to the key type.
+  */
+  _toKey(name) {
+    if (!this.integerKeys) {
+      return name;
+    } else if (this.bigintKeys && /^-?[0-9]+$/.test(name)) {
+      return BigInt(name);
+    }
+    return Number(name);
+  }
+}
+
+
+class ObjectCodec {
+  /**
+  * @param {Array.<{key: string, type: string, valueType: string}>} fields
+  *   The fields that make up the object. These will be converted into
+  *   {Field} instances. Fields can themselves be objects (or arrays of
+  *   objects), by passing a nested list of fields.
+  * @param {Object} options
+  * @param {boolean} options.extensible If true, the encoded object is
+  *   prefixed with its field count and byte length, so that fields can be
+  *   appended to the definition later without breaking older peers.
+  * @param {boolean} options.packed If true, fields that can be stored in a
+  *   whole number of bits (booleans, enums, integers and quantized numbers)
+  *   are packed together on bit boundaries.
+  *
+  * Fields can be marked as `optional: true`. The presence of optional fields
+  * is encoded as a set of bit flags at the start of the object, and missing
+  * values (null or undefined) aren't encoded at all. They'll be missing from
+  * the decoded object, too.
+  *
+  * In extensible mode every field gets a presence flag, since a decoder can't
+  * know whether fields it has never seen are optional. Decoders skip any
+  * trailing fields they don't know about, and fill in trailing fields that
+  * the encoder didn't know about with the field's `default` value.
+  *
+  * In packed mode, the presence flags and the values of the bit-packable
+  * fields are written first, end to end (see BitView), and padded to a whole
+  * byte. The remaining fields follow, in order. Packed objects can't be
+  * extensible, because a decoder wouldn't know how many bits the fields it
+  * has never seen take up.
+  */
+  constructor(fields, options) {
+    if (!Array.isArray(fields)) {
+      throw new Error('fields must be an array');
+    }
+    const {extensible, packed} = options || {};
+    this.extensible = !!extensible;
+    this.packed = !!packed;
+    if (this.extensible && this.packed) {
+      throw new Error('Packed objects can\'t be extensible');
+    }
+    this.fields = fields.map((options) => {
+      return new Field(options);
+    });
+
+    // If all the fields have a fixed length, then so does the object. Cache
+    // the length up front so that containers (like arrays of objects) can
+    // treat this like any other fixed length codec.
+    this.fixedByteLength = (!this.extensible &&
+                            countOptionalFields(this.fields) === 0 &&
+                            this.fields.every((field) => {
+                              return field.codec.fixedByteLength;
+                            }));
+    if (this.fixedByteLength) {
+      this.byteLength = this.getByteLength({});
+    }
+  }
+
+  /**
+  * Calculate the number of bytes required to encode the given object.
+  *
+  * @param {Object} object The object to be encoded.
+  * @returns {number}
+  */
+  getByteLength(object) {
+    if (this.byteLength != null) {
+      return this.byteLength;
+    }
+    const byteLength = this._getFieldsByteLength(this.fields, object || {});
+    return this._getHeaderByteLength(byteLength) + byteLength;
+  }
+
+  /**
+  * Read an object from the given stream.
+  *
+  * @param {StreamView} streamView
+  * @param {boolean} littleEndian
+  * @returns {Object}
+  */
+  get(streamView, littleEndian) {
+    streamView.enter();
+    let object;
+    if (this.extensible) {
+      const {count, endOffset} = this._getHeader(streamView, littleEndian);
+      object = this._getFields(streamView, this.fields.slice(0, count), {},
+                               littleEndian, count);
+      this._fillDefaults(object, count);
+      streamView.byteOffset = endOffset;
+    } else {
+      object = this._getFields(streamView, this.fields, {}, littleEndian);
+    }
+    streamView.leave();
+    return object;
+  }
+
+  /**
+  * Write an object into the given stream.
+  *
+  * @param {StreamView} streamView
+  * @param {Object} object
+  * @param {boolean} littleEndian
+  */
+  set(streamView, object, littleEndian) {
+    object = object || {};
+    if (this.extensible) {
+      // The byte length comes first, so extensible objects do need to be
+      // measured before they're written.
+      this._setHeader(streamView,
+                      this._getFieldsByteLength(this.fields, object),
+                      littleEndian);
+    }
+    this._setFields(streamView, this.fields, object, littleEndian);
+  }
+
+  /**
+  * Calculate the number of bytes required to encode the changes between two
+  * objects. See setDelta().
+  *
+  * @param {Object} prev The previous version of the object.
+  * @param {Object} next The new version of the object.
+  * @returns {number}
+  */
+  getDeltaByteLength(prev, next) {
+    next = next || {};
+    const changedFields = this._getChangedFields(prev || {}, next);
+    const byteLength = (getBitFlagsByteLength(this.fields.length) +
+                        this._getFieldsByteLength(changedFields, next));
+    return this._getHeaderByteLength(byteLength) + byteLength;
+  }
+
+  /**
+  * Read the changes written by setDelta() from the given stream, and apply
+  * them to a copy of the previous object.
+  *
+  * @param {StreamView} streamView
+  * @param {Object} prev The previous version of the object. This must be the
+  *   same object that was passed to setDelta() when encoding.
+  * @param {boolean} littleEndian
+  * @returns {Object}
+  */
+  getDelta(streamView, prev, littleEndian) {
+    prev = prev || {};
+    streamView.enter();
+    const header = this.extensible ?
+      this._getHeader(streamView, littleEndian) : null;
+    const count = header ? header.count : this.fields.length;
+    const changed = readBitFlags(streamView, count, littleEndian);
+    let object = {};
+    let changedFields = [];
+    for (let i = 0, il = this.fields.length; i < il; i++) {
+      const field = this.fields[i];
+      if (i < count && changed[i]) {
+        changedFields.push(field);
+      } else if (prev[field.key] !== undefined) {
+        object[field.key] = prev[field.key];
+      }
+    }
+    if (header) {
+      // Changes to fields we don't know about still have presence flags.
+      const changedCount = changed.filter((value) => {
+        return value;
+      }).length;
+      this._getFields(streamView, changedFields, object, littleEndian,
+                      changedCount);
+      this._fillDefaults(object, count);
+      streamView.byteOffset = header.endOffset;
+    } else {
+      this._getFields(streamView, changedFields, object, littleEndian);
+    }
+    streamView.leave();
+    return object;
+  }
+
+  /**
+  * Write the changes between two objects into the given stream. This writes
+  * a bit flag for each field indicating whether it changed, followed by the
+  * new values of the changed fields. Changed values are written in full
+  * (e.g. a nested object with a single changed field is written entirely).
+  *
+  * @param {StreamView} streamView
+  * @param {Object} prev The previous version of the object.
+  * @param {Object} next The new version of the object.
+  * @param {boolean} littleEndian
+  */
+  setDelta(streamView, prev, next, littleEndian) {
+    next = next || {};
+    const changedFields = this._getChangedFields(prev || {}, next);
+    const changed = this.fields.map((field) => {
+      return changedFields.indexOf(field) !== -1;
+    });
+    if (this.extensible) {
+      this._setHeader(streamView,
+                      (getBitFlagsByteLength(changed.length) +
+                       this._getFieldsByteLength(changedFields, next)),
+                      littleEndian);
+    }
+    writeBitFlags(streamView, changed, changed.length, littleEndian);
+    this._setFields(streamView, changedFields, next, littleEndian);
+  }
+
+  validate(object, path) {
+    if (object == null || typeof object !== 'object' ||
+        Array.isArray(object)) {
+      throw new ValidationError('expected an object', path);
+    }
+    for (let i = 0, il = this.fields.length; i < il; i++) {
+      const {key, codec, optional} = this.fields[i];
+      const fieldPath = path ? `${path}.${key}` : key;
+      if (object[key] != null) {
+        codec.validate(object[key], fieldPath);
+      } else if (!optional) {
+        throw new ValidationError('value is required', fieldPath);
+      }
+    }
+  }
+
+  toJSON() {
+    let json = {
+      type: 'object',
+      fields: this.fields.map((field) => {
+        return field.toJSON();
+      }),
+    };
+    if (this.extensible) {
+      json.extensible = true;
+    }
+    if (this.packed) {
+      json.packed = true;
+    }
+    return json;
+  }
+
+  _getChangedFields(prev, next) {
+    return this.fields.filter(({key}) => {
+      return !isEqual(prev[key], next[key]);
+    });
+  }
+
+  _hasPresenceFlag(field) {
+    return this.extensible || field.optional;
+  }
+
+  _isPacked(field) {
+    return this.packed && typeof field.codec.getBits === 'function';
+  }
+
+  _getHeaderByteLength(byteLength) {
+    if (!this.extensible) {
+      return 0;
+    }
+    return (_codecs.varuint.getByteLength(this.fields.length) +
+            _codecs.varuint.getByteLength(byteLength));
+  }
+
+  _getHeader(streamView, littleEndian) {
+    const count = _codecs.varuint.get(streamView, littleEndian);
+    const byteLength = _codecs.varuint.get(streamView, littleEndian);
+    streamView.requireBytes(byteLength);
+    return {count, endOffset: streamView.byteOffset + byteLength};
+  }
+
+  _setHeader(streamView, byteLength, littleEndian) {
+    _codecs.varuint.set(streamView, this.fields.length, littleEndian);
+    _codecs.varuint.set(streamView, byteLength, littleEndian);
+  }
+
+  /**
+  * Fill in the defaults for fields past `count`, which the encoder didn't
+  * know about.
+  */
+  _fillDefaults(object, count) {
+    for (let i = count, il = this.fields.length; i < il; i++) {
+      const field = this.fields[i];
+      if (object[field.key] === undefined && field.default !== undefined) {
+        object[field.key] = field.default;
+      }
+    }
+  }
+
+  _getFieldsByteLength(fields, object) {
+    // Presence flags and packed fields share the bits at the start.
+    let bitLength = 0;
+    let byteLength = 0;
+    for (let i = 0, il = fields.length; i < il; i++) {
+      const field = fields[i];
+      const {key, codec, optional} = field;
+      if (this._hasPresenceFlag(field)) {
+        bitLength++;
+      }
+      if (optional && object[key] == null) {
+        continue;
+      } else if (this._isPacked(field)) {
+        bitLength += codec.bitLength;
+      } else {
+        byteLength += codec.getByteLength(object[key]);
+      }
+    }
+    return getBitFlagsByteLength(bitLength) + byteLength;
+  }
+
+  _getFields(streamView, fields, object, littleEndian, flagCount) {
+    if (flagCount == null) {
+      flagCount = fields.filter((field) => {
+        return this._hasPresenceFlag(field);
+      }).length;
+    }
+    let present;
+    let bitView = null;
+    if (this.packed) {
+      bitView = new BitView(streamView);
+      present = [];
+      for (let i = 0; i < flagCount; i++) {
+        present.push(bitView.getBits(1) ? true : false);
+      }
+    } else {
+      present = readBitFlags(streamView, flagCount, littleEndian);
+    }
+    let presentFields = [];
+    for (let i = 0, j = 0, il = fields.length; i < il; i++) {
+      const field = fields[i];
+      if (!this._hasPresenceFlag(field) || present[j++]) {
+        presentFields.push(field);
+      } else {
+        delete object[field.key];
+      }
+    }
+    if (bitView) {
+      for (let i = 0, il = presentFields.length; i < il; i++) {
+        const field = presentFields[i];
+        if (this._isPacked(field)) {
+          try {
+            object[field.key] = field.codec.getBits(bitView);
+          } catch (error) {
+            throw addDecodeErrorPath(error, streamView, field.key);
+          }
+        }
+      }
+      bitView.align();
+    }
+    for (let i = 0, il = presentFields.length; i < il; i++) {
+      const field = presentFields[i];
+      if (!this._isPacked(field)) {
+        try {
+          object[field.key] = field.codec.get(streamView, littleEndian);
+        } catch (error) {
+          throw addDecodeErrorPath(error, streamView, field.key);
+        }
+      }
+    }
+    return object;
+  }
+
+  _setFields(streamView, fields, object, littleEndian) {
+    let present = [];
+    for (let i = 0, il = fields.length; i < il; i++) {
+      const field = fields[i];
+      if (this._hasPresenceFlag(field)) {
+        present.push(!field.optional || object[field.key] != null);
+      }
+    }
+    const presentFields = fields.filter((field) => {
+      return !field.optional || object[field.key] != null;
+    });
+    if (this.packed) {
+      const bitView = new BitView(streamView);
+      for (let i = 0, il = present.length; i < il; i++) {
+        bitView.setBits(present[i] ? 1 : 0, 1);
+      }
+      for (let i = 0, il = presentFields.length; i < il; i++) {
+        const field = presentFields[i];
+        if (this._isPacked(field)) {
+          field.codec.setBits(bitView, object[field.key]);
+        }
+      }
+      bitView.align();
+    } else {
+      writeBitFlags(streamView, present, present.length, littleEndian);
+    }
+    for (let i = 0, il = presentFields.length; i < il; i++) {
+      const field = presentFields[i];
+      if (!this._isPacked(field)) {
+        field.codec.set(streamView, object[field.key], littleEndian);
+      }
+    }
+  }
+}
+
+
+/**
+* The quantized codec encodes numbers within a fixed range as integers, for
+* values that don't need the full precision of a float (e.g. positions to the
+* nearest centimeter). The range is given by the `min` and `max` options, and
+* the resolution by either `precision` (the largest acceptable step between
+* two values) or `bits` (the number of bits to use). The integer is stored in
+* as few whole bytes as possible, up to 32 bits.
+*
+* Values outside of the range are clamped, like IntegerCodec. Pass
+* `clamp: false` to throw a RangeError for them instead. Decoded values are
+* only approximately equal to the originals, within half a step.
+*/
+class QuantizedCodec {
+  constructor({min, max, precision, bits, clamp} = {}) {
+    if (typeof min !== 'number' || !isFinite(min) ||
+        typeof max !== 'number' || !isFinite(max) || min >= max) {
+      throw new Error('min and max must be numbers, with min < max');
+    }
+    if ((precision == null) === (bits == null)) {
+      throw new Error('Either precision or bits is required');
+    }
+    let steps;
+    if (precision != null) {
+      if (typeof precision !== 'number' || !isFinite(precision) ||
+          precision <= 0) {
+        throw new Error('precision must be a positive number');
+      }
+      steps = Math.ceil((max - min) / precision);
+      bits = getBitLength(steps + 1);
+      if (bits > 32) {
+        throw new RangeError(`precision ${precision} needs ${bits} bits ` +
+                             'for the range, but the maximum is 32');
+      }
+    } else {
+      if (typeof bits !== 'number' || bits % 1 !== 0 || bits < 1 ||
+          bits > 32) {
+        throw new RangeError('bits must be an integer from 1 to 32');
+      }
+      steps = Math.pow(2, bits) - 1;
+    }
+    this.min = min;
+    this.max = max;
+    this.precision = precision != null ? precision : null;
+    this.bits = bits;
+    this.clamp = clamp == null ? true : !!clamp;
+    this.steps = steps;
+    this.step = (max - min) / steps;
+    this.fixedByteLength = true;
+    this.byteLength = Math.ceil(bits / 8);
+    this.bitLength = bits;
+  }
+
+  getByteLength(value) {
+    return this.byteLength;
+  }
+
+  get(streamView, littleEndian) {
+    return this._getValue(
+      readUnsigned(streamView, this.byteLength, littleEndian));
+  }
+
+  set(streamView, value, littleEndian) {
+    writeUnsigned(streamView, this._getIndex(value), this.byteLength,
+                  littleEndian);
+  }
+
+  getBits(bitView) {
+    return this._getValue(bitView.getBits(this.bitLength));
+  }
+
+  setBits(bitView, value) {
+    bitView.setBits(this._getIndex(value), this.bitLength);
+  }
+
+  validate(value, path) {
+    if (typeof value !== 'number' || value !== value) {
+      throw new ValidationError('expected a number', path);
+    } else if (value < this.min || value > this.max) {
+      throw new ValidationError(`${value} is out of range`, path);
+    }
+  }
+
+  toJSON() {
+    let json = {type: 'quantized', min: this.min, max: this.max};
+    if (this.precision !== null) {
+      json.precision = this.precision;
+    } else {
+      json.bits = this.bits;
+    }
+    if (!this.clamp) {
+      json.clamp = false;
+    }
+    return json;
+  }
+
+  _getValue(index) {
+    if (index > this.steps) {
+      throw new RangeError(`Invalid quantized index ${index}`);
+    }
+    return index === this.steps ? this.max : this.min + (index * this.step);
+  }
+
+  _getIndex(value) {
+    value = +value || 0;
+    if (value < this.min || value > this.max) {
+      if (!this.clamp) {
+        throw new RangeError(`${value} is outside the range ${this.min} ` +
+                             `to ${this.max}`);
+      }
+      value = value < this.min ? this.min : this.max;
+    }
+    return Math.min(Math.round((value - this.min) / this.step), this.steps);
+  }
+}
+
+
+/**
+* The string codec is another special case. JavaScript strings are UTF-16,
+* which doesn't encode very efficiently for network traffic. The codec
+* converts the strings to UTF-8, prefixed with the UTF-8 byte length.
+*
+* The byte length is counted without encoding the string, so each string is
+* only encoded once, directly into the stream. TextEncoder and TextDecoder
+* (or Node's Buffer) are used when they're available, and the utf8 package
+* is used otherwise. Non-string values are encoded as empty strings, and
+* invalid UTF-8 throws a DecodeError when decoding.
+*/
+class StringCodec {
+  getByteLength(value) {
+    const byteLength = getUTF8ByteLength(value);
+    return _codecs.variableLength.getByteLength(byteLength) + byteLength;
+  }
+
+  get(streamView, littleEndian) {
+    // First read the number of bytes, then the bytes
+    const byteLength = _codecs.variableLength.get(streamView, littleEndian);
+    streamView.checkLimit('maxStringByteLength', byteLength,
+                          'String byte length');
+    if (byteLength > 0) {
+      return streamView.getUTF8String(byteLength);
+    } else {
+      return '';
+    }
+  }
+
+  set(streamView, value, littleEndian) {
+    const byteLength = getUTF8ByteLength(value);
+    _codecs.variableLength.set(streamView, byteLength, littleEndian);
+    if (byteLength > 0) {
+      streamView.setUTF8String(value, byteLength);
+    }
+  }
+
+  validate(value, path) {
+    if (typeof value !== 'string') {
+      throw new ValidationError('expected a string', path);
+    }
+  }
+
+  toJSON() {
+    return {type: 'string'};
+  }
+}
+
+
+/**
+* The tuple codec encodes a fixed length array where each position has its
+* own type, e.g. `['uint16', 'float32', 'string']`. Like a fixed length
+* array, there is no length prefix, and the tuple has a fixed byte length if
+* all of its value codecs do.
+*/
+class TupleCodec {
+  constructor(valueCodecs) {
+    if (!Array.isArray(valueCodecs) || valueCodecs.length === 0) {
+      throw new Error('valueTypes must be a non-empty array');
+    }
+    this.valueCodecs = valueCodecs.map((valueCodec) => {
+      if (valueCodec == null ||
+          (!isCodec(valueCodec) && !isValidType(getType(valueCodec)))) {
+        throw new Error(`Invalid tuple value type '${getType(valueCodec)}'`);
+      }
+      return createCodec(valueCodec);
+    });
+    this.fixedByteLength = this.valueCodecs.every((valueCodec) => {
+      return valueCodec.fixedByteLength;
+    });
+    if (this.fixedByteLength) {
+      this.byteLength = this.getByteLength([]);
+    }
+  }
+
+  getByteLength(values) {
+    if (this.byteLength != null) {
+      return this.byteLength;
+    }
+    values = values || [];
+    let byteLength = 0;
+    for (let i = 0, il = this.valueCodecs.length; i < il; i++) {
+      byteLength += this.valueCodecs[i].getByteLength(values[i]);
+    }
+    return byteLength;
+  }
+
+  get(streamView, littleEndian) {
+    streamView.enter();
+    let values = new Array(this.valueCodecs.length);
+    let i = 0;
+    try {
+      for (let il = this.valueCodecs.length; i < il; i++) {
+        values[i] = this.valueCodecs[i].get(streamView, littleEndian);
+      }
+    } catch (error) {
+      throw addDecodeErrorPath(error, streamView, `[${i}]`);
+    }
+    streamView.leave();
+    return values;
+  }
+
+  set(streamView, values, littleEndian) {
+    const length = (values && values.length) || 0;
+    if (length !== this.valueCodecs.length) {
+      throw new Error('Expected a tuple of length ' +
+                      `${this.valueCodecs.length}, got ${length}`);
+    }
+    for (let i = 0, il = this.valueCodecs.length; i < il; i++) {
+      this.valueCodecs[i].set(streamView, values[i], littleEndian);
+    }
+  }
+
+  validate(values, path) {
+    if (!Array.isArray(values)) {
+      throw new ValidationError('expected an array', path);
+    }
+    if (values.length !== this.valueCodecs.length) {
+      throw new ValidationError(
+        `expected ${this.valueCodecs.length} values, got ${values.length}`,
+        path);
+    }
+    for (let i = 0, il = values.length; i < il; i++) {
+      this.valueCodecs[i].validate(values[i], `${path}[${i}]`);
+    }
+  }
+
+  toJSON() {
+    return {
+      type: 'tuple',
+      valueTypes: this.valueCodecs.map((valueCodec) => {
+        return codecToJSON(valueCodec);
+      }),
+    };
+  }
+}
+
+
+/**
+* The union codec encodes one of several named variants, e.g. a command that
+* can be a move, an attack, or a chat message. Variants are given as a list
+* of type descriptors with a `key`, like object fields. The index of the
+* variant is written first (using the same encoding as EnumCodec), followed
+* by the variant's value.
+*
+* Values are `{type, value}` objects, where type is the variant's key. If the
+* `discriminator` option is given, every variant must be an object, and the
+* values are the objects themselves, with the variant's key stored in the
+* discriminator field (e.g. `{kind: 'move', x: 1, y: 2}`).
+*/
+class UnionCodec {
+  constructor(variants, options) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+      throw new Error('variants must be a non-empty array');
+    }
+    const {discriminator} = options || {};
+    this.discriminator = discriminator != null ? discriminator : null;
+    this.variants = variants.map((variant) => {
+      const key = variant && variant.key;
+      if (!key) {
+        throw new Error('key is required');
+      }
+      const codec = createCodec(variant);
+      if (this.discriminator !== null) {
+        if (!(codec instanceof ObjectCodec)) {
+          throw new Error(`Union variant '${key}' must be an object to use ` +
+                          'a discriminator');
+        }
+        for (let i = 0, il = codec.fields.length; i < il; i++) {
+          if (codec.fields[i].key === this.discriminator) {
+            throw new Error(`Union variant '${key}' has a field named ` +
+                            `'${this.discriminator}'`);
+          }
+        }
+      }
+      return {key, codec};
+    });
+    this.variantsByKey = {};
+    for (let i = 0, il = this.variants.length; i < il; i++) {
+      const variant = this.variants[i];
+      if (this.variantsByKey.hasOwnProperty(variant.key)) {
+        throw new Error(`Duplicate union variant '${variant.key}'`);
+      }
+      this.variantsByKey[variant.key] = variant;
+    }
+    this.typeCodec = new EnumCodec({
+      values: this.variants.map(({key}) => {
+        return key;
+      }),
+    });
+  }
+
+  getByteLength(value) {
+    const variant = this._getVariant(value);
+    return (this.typeCodec.getByteLength(variant.key) +
+            variant.codec.getByteLength(this._getVariantValue(value)));
+  }
+
+  get(streamView, littleEndian) {
+    const variant = this.variantsByKey[
+      this.typeCodec.get(streamView, littleEndian)];
+    let value;
+    try {
+      value = variant.codec.get(streamView, littleEndian);
+    } catch (error) {
+      throw (this.discriminator !== null ? error :
+             addDecodeErrorPath(error, streamView, 'value'));
+    }
+    if (this.discriminator === null) {
+      return {type: variant.key, value: value};
+    }
+    value[this.discriminator] = variant.key;
+    return value;
+  }
+
+  set(streamView, value, littleEndian) {
+    const variant = this._getVariant(value);
+    this.typeCodec.set(streamView, variant.key, littleEndian);
+    variant.codec.set(streamView, this._getVariantValue(value), littleEndian);
+  }
+
+  validate(value, path) {
+    if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new ValidationError('expected an object', path);
+    }
+    const typeKey = this.discriminator !== null ? this.discriminator : 'type';
+    const type = value[typeKey];
+    if (!this.variantsByKey.hasOwnProperty(type)) {
+      throw new ValidationError(`invalid union variant '${type}'`,
+                                path ? `${path}.${typeKey}` : typeKey);
+    }
+    if (this.discriminator !== null) {
+      this.variantsByKey[type].codec.validate(value, path);
+    } else {
+      this.variantsByKey[type].codec.validate(
+        value.value, path ? `${path}.value` : 'value');
+    }
+  }
+
+  toJSON() {
+    let json = {
+      type: 'union',
+      variants: this.variants.map(({key, codec}) => {
+        let variant = {key: key};
+        const descriptor = codecToJSON(codec);
+        const keys = Object.keys(descriptor);
+        for (let i = 0, il = keys.length; i < il; i++) {
+          variant[keys[i]] = descriptor[keys[i]];
+        }
+        return variant;
+      }),
+    };
+    if (this.discriminator !== null) {
+      json.discriminator = this.discriminator;
+    }
+    return json;
+  }
+
+  _getVariant(value) {
+    const type = (value == null ? undefined :
+                  value[this.discriminator !== null ?
+                        this.discriminator : 'type']);
+    if (!this.variantsByKey.hasOwnProperty(type)) {
+      throw new Error(`Invalid union variant '${type}'`);
+    }
+    return this.variantsByKey[type];
+  }
+
+  _getVariantValue(value) {
+    return this.discriminator !== null ? value : value.value;
+  }
+}
+
+
+/**
+* This is a variable length unsigned integer used to read and write lengths
+* of arrays. In the worst case scenario of a very high length, it will use an
+* extra byte, but in most cases it will use less.
+*
+* This is encoded by using the 7 lower bits to represent the length, and the
+* high 8th bit to indicate whether there is another byte to read. Any safe
+* integer (up to 2^53 - 1) can be encoded, using at most 8 bytes. Note that
+* set will clamp values that are out of range, like IntegerCodec. get()
+* throws a RangeError for longer or unsafe values, which can only come from
+* corrupt data.
+*
+* This uses multiplication and division rather than bitwise operators,
+* because bitwise operators truncate values to 32 bits.
+*/
+class VariableLengthUnsignedIntegerCodec {
+  constructor() {
+    this.minValue = 0;
+    this.maxValue = MAX_SAFE_INTEGER;
+  }
+
+  toJSON() {
+    return {type: 'varuint'};
+  }
+
+  getByteLength(value) {
+    let remainder = Math.floor(this._clamp(value) / 128);
+    let bytes = 1;
+    while (remainder > 0) {
+      remainder = Math.floor(remainder / 128);
+      bytes++;
+    }
+    return bytes * _codecs.uint8.byteLength;
+  }
+
+  get(streamView, littleEndian) {
+    let value = 0;
+    let scale = 1;
+    let byteLength = 0;
+    let byte;
+    do {
+      checkVarintByteLength(byteLength++);
+      byte = _codecs.uint8.get(streamView, littleEndian);
+      value += (byte & 127) * scale;
+      scale *= 128;
+    } while ((byte & 128) !== 0);
+    if (value > this.maxValue) {
+      throw new RangeError(`${value} is outside the safe integer range`);
+    }
+    return value;
+  }
+
+  set(streamView, value, littleEndian) {
+    let remainder = this._clamp(value);
+    while (remainder >= 128) {
+      // There are still bits left, so indicate that the stream will have
+      // another length byte by setting the high bit.
+      _codecs.uint8.set(streamView, (remainder % 128) | 128, littleEndian);
+      remainder = Math.floor(remainder / 128);
+    }
+    _codecs.uint8.set(streamView, remainder, littleEndian);
+  }
+
+  validate(value, path) {
+    validateInteger(value, this.minValue, this.maxValue, path);
+  }
+
+  _clamp(value) {
+    value = truncate(+value || 0);
+    if (value < this.minValue) {
+      value = this.minValue;
+    } else if (value > this.maxValue) {
+      value = this.maxValue;
+    }
+    return value;
+  }
+}
+
+
+/**
+* This is a variable length signed integer. It uses zigzag encoding, so that
+* values with a small magnitude use few bytes whether they are positive or
+* negative: 0 is encoded as 0, -1 as 1, 1 as 2, -2 as 3, and so on. The
+* zigzagged value is then encoded like VariableLengthUnsignedIntegerCodec.
+*
+* Zigzagging a large value can overflow the safe integer range, so the sign
+* bit and the low 6 bits of the magnitude are packed into the first byte
+* directly, instead of calculating the zigzagged value up front.
+*/
+class VariableLengthSignedIntegerCodec {
+  constructor() {
+    this.minValue = -MAX_SAFE_INTEGER;
+    this.maxValue = MAX_SAFE_INTEGER;
+  }
+
+  toJSON() {
+    return {type: 'varint'};
+  }
+
+  getByteLength(value) {
+    value = this._clamp(value);
+    let remainder = Math.floor((value < 0 ? -value - 1 : value) / 64);
+    let bytes = 1;
+    while (remainder > 0) {
+      remainder = Math.floor(remainder / 128);
+      bytes++;
+    }
+    return bytes * _codecs.uint8.byteLength;
+  }
+
+  get(streamView, littleEndian) {
+    let byte = _codecs.uint8.get(streamView, littleEndian);
+    const sign = byte & 1;
+    let magnitude = (byte & 127) >> 1;
+    let scale = 64;
+    let byteLength = 1;
+    while ((byte & 128) !== 0) {
+      checkVarintByteLength(byteLength++);
+      byte = _codecs.uint8.get(streamView, littleEndian);
+      magnitude += (byte & 127) * scale;
+      scale *= 128;
+    }
+    const value = sign ? -magnitude - 1 : magnitude;
+    if (value < this.minValue || value > this.maxValue) {
+      throw new RangeError(`${value} is outside the safe integer range`);
+    }
+    return value;
+  }
+
+  set(streamView, value, littleEndian) {
+    value = this._clamp(value);
+    const sign = value < 0 ? 1 : 0;
+    let remainder = sign ? -value - 1 : value;
+    let byte = ((remainder % 64) * 2) + sign;
+    remainder = Math.floor(remainder / 64);
+    while (remainder > 0) {
+      _codecs.uint8.set(streamView, byte | 128, littleEndian);
+      byte = remainder % 128;
+      remainder = Math.floor(remainder / 128);
+    }
+    _codecs.uint8.set(streamView, byte, littleEndian);
+  }
+
+  validate(value, path) {
+    validateInteger(value, this.minValue, this.maxValue, path);
+  }
+
+  _clamp(value) {
+    value = truncate(+value || 0);
+    if (value < this.minValue) {
+      value = this.minValue;
+    } else if (value > this.maxValue) {
+      value = this.maxValue;
+    }
+    return value;
+  }
+}
+
+_codecTypes.array = ArrayCodec;
+_codecTypes.bitInt = SignedBitIntegerCodec;
+_codecTypes.bitUint = BitIntegerCodec;
+_codecTypes.boolean = BooleanCodec;
+_codecTypes.booleanArray = BooleanArrayCodec;
+_codecTypes.enum = EnumCodec;
+_codecTypes.float = FloatCodec;
+_codecTypes.int = IntegerCodec;
+_codecTypes.map = MapCodec;
+_codecTypes.object = ObjectCodec;
+_codecTypes.quantized = QuantizedCodec;
+_codecTypes.string = StringCodec;
+_codecTypes.tuple = TupleCodec;
+_codecTypes.union = UnionCodec;
+_codecTypes.variableLength = VariableLengthUnsignedIntegerCodec;
+_codecTypes.varint = VariableLengthSignedIntegerCodec;
+_codecTypes.varuint = VariableLengthUnsignedIntegerCodec;
+
+// This is a set of shared codec instances which can safely be reused between
+// definitions and such. Array and Object don't have instances here, because
+// they have instance-specific options, so they are created on the fly.
+_codecs.bigInt64 = new Integer64Codec({signed: true, bigint: true});
+_codecs.bigUint64 = new Integer64Codec({signed: false, bigint: true});
+_codecs.boolean = new BooleanCodec();
+_codecs.booleanArray = new BooleanArrayCodec();
+_codecs.float32 = new FloatCodec({byteLength: 4});
+_codecs.float64 = new FloatCodec({byteLength: 8});
+_codecs.int8 = new IntegerCodec({byteLength: 1, signed: true});
+_codecs.int16 = new IntegerCodec({byteLength: 2, signed: true});
+_codecs.int32 = new IntegerCodec({byteLength: 4, signed: true});
+_codecs.int64 = new Integer64Codec({signed: true});
+_codecs.string = new StringCodec();
+_codecs.uint8 = new IntegerCodec({byteLength: 1, signed: false});
+_codecs.uint16 = new IntegerCodec({byteLength: 2, signed: false});
+_codecs.uint32 = new IntegerCodec({byteLength: 4, signed: false});
+_codecs.uint64 = new Integer64Codec({signed: false});
+_codecs.variableLength = new VariableLengthUnsignedIntegerCodec();
+_codecs.varint = new VariableLengthSignedIntegerCodec();
+_codecs.varuint = _codecs.variableLength;
+
+
+/**
+* A stream view is an abstraction around a data view and array buffer for
+* reading and writing data while keeping track of a cursor position.
+*
+* Writers (see StreamView.createWriter()) are growable stream views. Their
+* buffer is grown as values are written to them, so that values can be
+* encoded in a single pass, without measuring them with getByteLength()
+* first. Codecs must call reserve() before writing to a stream view.
+*/
+class StreamView {
+  constructor(dataView, arrayBuffer, growable) {
+    this.dataView = dataView;
+    this.arrayBuffer = arrayBuffer;
+    this.byteOffset = 0;
+    this.growable = !!growable;
+
+    // Decoding limits (see Definition), and the current nesting depth.
+    this.limits = null;
+    this.depth = 0;
+  }
+
+  /**
+  * Make sure that byteLength bytes can be read at the current offset. Throws
+  * a DecodeError if the data ends first.
+  *
+  * @param {number} byteLength
+  * @returns {number} The current offset into the underlying buffer.
+  */
+  requireBytes(byteLength) {
+    if (this.byteOffset + byteLength > this.dataView.byteLength) {
+      throw new DecodeError('Unexpected end of data', this.byteOffset);
+    }
+    return this.dataView.byteOffset + this.byteOffset;
+  }
+
+  /**
+  * Throw a DecodeError if a decoded value exceeds one of the limits.
+  *
+  * @param {string} name Name of the limit (e.g. "maxArrayLength").
+  * @param {number} value
+  * @param {string} description What the value is, for the error message.
+  */
+  checkLimit(name, value, description) {
+    const limit = this.limits != null ? this.limits[name] : null;
+    if (limit != null && value > limit) {
+      throw new DecodeError(`${description} ${value} exceeds ${name} ` +
+                            `(${limit})`, this.byteOffset);
+    }
+  }
+
+  /**
+  * Called by container codecs when they start decoding, to enforce the
+  * maxDepth limit. Call leave() when done.
+  */
+  enter() {
+    this.depth++;
+    this.checkLimit('maxDepth', this.depth, 'Depth');
+  }
+
+  leave() {
+    this.depth--;
+  }
+
+  /**
+  * Make sure that byteLength bytes can be written at the current offset,
+  * growing the buffer if this is a writer. Note that growing replaces the
+  * view's dataView and arrayBuffer.
+  *
+  * @param {number} byteLength
+  * @returns {number} The current offset into the underlying buffer.
+  */
+  reserve(byteLength) {
+    if (this.growable &&
+        this.byteOffset + byteLength > this.dataView.byteLength) {
+      this._grow(this.byteOffset + byteLength);
+    }
+    return this._checkBounds(byteLength);
+  }
+
+  /**
+  * Return a new stream view containing a copy of the bytes written so far,
+  * and rewind this one so that it can be reused.
+  *
+  * @returns {StreamView}
+  */
+  finish() {
+    const streamView = StreamView.create(this.byteOffset);
+    streamView.setBytesFrom(this, this.byteOffset);
+    streamView.byteOffset = 0;
+    this.byteOffset = 0;
+    return streamView;
+  }
+
+  /**
+  * Copy the first byteLength bytes of another stream view into this one.
+  *
+  * @param {StreamView} source
+  * @param {number} byteLength
+  */
+  setBytesFrom(source, byteLength) {
+    const byteOffset = this.reserve(byteLength);
+    if (this._isPolyfill() || source._isPolyfill()) {
+      for (let i = 0; i < byteLength; i++) {
+        this.dataView.setUint8(this.byteOffset + i,
+                               source.dataView.getUint8(i));
+      }
+    } else {
+      new Uint8Array(this.arrayBuffer, byteOffset, byteLength).set(
+        new Uint8Array(source.arrayBuffer, source.dataView.byteOffset,
+                       byteLength));
+    }
+    this.byteOffset += byteLength;
+  }
+
+  /**
+  * Return a new stream view over the next byteLength bytes of this one, and
+  * skip past them. Reads from the new view can't go past its end.
+  *
+  * @param {number} byteLength
+  * @returns {StreamView}
+  */
+  subview(byteLength) {
+    const byteOffset = this.requireBytes(byteLength);
+    const dataView = new this.dataView.constructor(
+      this.arrayBuffer, byteOffset, byteLength);
+    this.byteOffset += byteLength;
+    let streamView = new StreamView(dataView, this.arrayBuffer);
+    streamView.limits = this.limits;
+    return streamView;
+  }
+
+  /**
+  * Throw a DecodeError if there are any unread bytes left in the view.
+  */
+  checkTrailingBytes() {
+    const byteLength = this.dataView.byteLength - this.byteOffset;
+    if (byteLength > 0) {
+      throw new DecodeError(`Unexpected ${byteLength} trailing bytes`,
+                            this.byteOffset);
+    }
+  }
+
+  toArray() {
+    let array = new Array(this.dataView.byteLength);
+    for (let i = 0, il = this.dataView.byteLength; i < il; i++) {
+      array[i] = this.dataView.getUint8(i);
+    }
+    return array;
+  }
+
+  /**
+  * Return the contents of the view as binary data.
+  *
+  * @param {string} binaryType The type of object to return. This can be
+  *   "arraybuffer" (the default), "uint8array", or "nodebuffer" (only in
+  *   Node). These don't copy the data unless polyfills are being used.
+  * @returns {ArrayBuffer|Uint8Array|Buffer}
+  */
+  toBinary(binaryType) {
+    const isPolyfill = this.arrayBuffer instanceof polyfill.ArrayBufferPolyfill;
+    const {byteOffset, byteLength} = this.dataView;
+    if (binaryType == null || binaryType === 'arraybuffer') {
+      if (byteOffset === 0 && byteLength === this.arrayBuffer.byteLength) {
+        return this.arrayBuffer;
+      } else if (isPolyfill) {
+        let arrayBuffer = new polyfill.ArrayBufferPolyfill(byteLength);
+        arrayBuffer._bytes = this.arrayBuffer._bytes.slice(
+          byteOffset, byteOffset + byteLength);
+        return arrayBuffer;
+      } else {
+        return this.arrayBuffer.slice(byteOffset, byteOffset + byteLength);
+      }
+    } else if (binaryType === 'uint8array') {
+      if (isPolyfill) {
+        return new Uint8Array(this.toArray());
+      }
+      return new Uint8Array(this.arrayBuffer, byteOffset, byteLength);
+    } else if (binaryType === 'nodebuffer') {
+      if (NodeBuffer == null) {
+        throw new Error(`Invalid binary type '${binaryType}': Buffer isn't ` +
+                        'available');
+      } else if (isPolyfill) {
+        return NodeBuffer.from(this.toArray());
+      }
+      return NodeBuffer.from(this.arrayBuffer, byteOffset, byteLength);
+    } else {
+      throw new Error(`Invalid binary type '${binaryType}'`);
+    }
+  }
+
+  /**
+  * Check whether typed arrays can be copied directly to or from this view.
+  * That's only possible if the view isn't using polyfills, and if the byte
+  * order matches the host's.
+  *
+  * @param {boolean} littleEndian
+  * @returns {boolean}
+  */
+  canCopyTypedArray(littleEndian) {
+    const hostByteOrder = littleEndian ? HOST_LITTLE_ENDIAN :
+      !HOST_LITTLE_ENDIAN;
+    return hostByteOrder && !this._isPolyfill();
+  }
+
+  /**
+  * Read a typed array of the given type and length from the view, in the
+  * host's byte order. If the values are aligned within the buffer, this
+  * returns a view onto the buffer instead of copying them.
+  *
+  * @param {Function} TypedArray The typed array constructor.
+  * @param {number} length The number of values to read.
+  * @returns {TypedArray}
+  */
+  getTypedArray(TypedArray, length) {
+    const byteLength = length * TypedArray.BYTES_PER_ELEMENT;
+    const byteOffset = this.requireBytes(byteLength);
+    let values;
+    if (byteOffset % TypedArray.BYTES_PER_ELEMENT === 0) {
+      values = new TypedArray(this.arrayBuffer, byteOffset, length);
+    } else {
+      values = new TypedArray(this.arrayBuffer.slice(
+        byteOffset, byteOffset + byteLength));
+    }
+    this.byteOffset += byteLength;
+    return values;
+  }
+
+  /**
+  * Copy the contents of a typed array into the view, in the host's byte
+  * order.
+  *
+  * @param {TypedArray} values
+  */
+  setTypedArray(values) {
+    const byteOffset = this.reserve(values.byteLength);
+    new Uint8Array(this.arrayBuffer, byteOffset, values.byteLength).set(
+      new Uint8Array(values.buffer, values.byteOffset, values.byteLength));
+    this.byteOffset += values.byteLength;
+  }
+
+  /**
+  * Read a UTF-8 string of the given byte length from the view. Throws a
+  * DecodeError if the bytes aren't valid UTF-8.
+  *
+  * Node's Buffer isn't used here, because it silently replaces invalid
+  * bytes.
+  *
+  * @param {number} byteLength
+  * @returns {string}
+  */
+  getUTF8String(byteLength) {
+    const byteOffset = this.requireBytes(byteLength);
+    let string;
+    try {
+      if (!this._isPolyfill() && textDecoder != null) {
+        string = textDecoder.decode(
+          new Uint8Array(this.arrayBuffer, byteOffset, byteLength));
+      } else {
+        string = '';
+        for (let i = 0; i < byteLength; i++) {
+          string += String.fromCharCode(
+            this.dataView.getUint8(this.byteOffset + i));
+        }
+        string = utf8.decode(string);
+      }
+    } catch (error) {
+      throw new DecodeError('Invalid UTF-8 string', this.byteOffset);
+    }
+    this.byteOffset += byteLength;
+    return string;
+  }
+
+  /**
+  * Write a string into the view as UTF-8. The byte length must have already
+  * been counted with getUTF8ByteLength().
+  *
+  * @param {string} string
+  * @param {number} byteLength
+  */
+  setUTF8String(string, byteLength) {
+    const byteOffset = this.reserve(byteLength);
+    const isNative = !this._isPolyfill();
+    if (isNative && textEncoder != null && textEncoder.encodeInto != null) {
+      textEncoder.encodeInto(
+        string, new Uint8Array(this.arrayBuffer, byteOffset, byteLength));
+    } else if (isNative && NodeBuffer != null) {
+      NodeBuffer.from(this.arrayBuffer, byteOffset, byteLength)
+        .write(string, 'utf8');
+    } else if (isNative && textEncoder != null) {
+      new Uint8Array(this.arrayBuffer, byteOffset, byteLength)
+        .set(textEncoder.encode(string));
+    } else {
+      // The utf8 package throws for lone surrogates, rather than replacing
+      // them like the native encoders.
+      const utf8String = utf8.encode(replaceLoneSurrogates(string));
+      for (let i = 0, il = utf8String.length; i < il; i++) {
+        this.dataView.setUint8(this.byteOffset + i, utf8String.charCodeAt(i));
+      }
+    }
+    this.byteOffset += byteLength;
+  }
+
+  toString() {
+    let string = '';
+    for (let i = 0, il = this.dataView.byteLength; i < il; i++) {
+      string += String.fromCharCode(this.dataView.getUint8(i));
+    }
+    return string;
+  }
+
+  /**
+  * Return true if the view is backed by a polyfilled ArrayBuffer.
+  */
+  _isPolyfill() {
+    return this.arrayBuffer instanceof polyfill.ArrayBufferPolyfill;
+  }
+
+  _grow(minByteLength) {
+    const byteLength = Math.max(minByteLength, this.arrayBuffer.byteLength * 2);
+    const arrayBuffer = new this.arrayBuffer.constructor(byteLength);
+    if (this._isPolyfill()) {
+      for (let i = 0; i < this.byteOffset; i++) {
+        arrayBuffer._bytes[i] = this.arrayBuffer._bytes[i];
+      }
+    } else {
+      new Uint8Array(arrayBuffer).set(
+        new Uint8Array(this.arrayBuffer, 0, this.byteOffset));
+    }
+    this.arrayBuffer = arrayBuffer;
+    this.dataView = new this.dataView.constructor(arrayBuffer);
+  }
+
+  /**
+  * Make sure that byteLength bytes can be accessed at the current offset,
+  * and return the offset into the underlying buffer.
+  */
+  _checkBounds(byteLength) {
+    if (this.byteOffset + byteLength > this.dataView.byteLength) {
+      throw new RangeError('Offset is outside the bounds of the DataView');
+    }
+    return this.dataView.byteOffset + this.byteOffset;
+  }
+}
+
+/**
+* Create a new stream view.
+*
+* @param {number} byteLength Number of bytes to allocate for the view.
+* @returns {StreamView}
+*/
+StreamView.create = (byteLength) => {
+  let arrayBuffer = new _config.ArrayBuffer(byteLength);
+  let dataView = new _config.DataView(arrayBuffer);
+  return new StreamView(dataView, arrayBuffer);
+};
+
+/**
+* Create a new writer: a stream view that grows as values are written to it.
+* Call finish() to get a copy of the written bytes.
+*
+* @param {number} byteLength Number of bytes to allocate up front.
+* @returns {StreamView}
+*/
+StreamView.createWriter = (byteLength = 64) => {
+  let arrayBuffer = new _config.ArrayBuffer(byteLength);
+  let dataView = new _config.DataView(arrayBuffer);
+  return new StreamView(dataView, arrayBuffer, true);
+};
+
+/**
+* Return the given writer, rewound so that it can be reused. A new writer is
+* created if there isn't one yet, or if the old one was created with a
+* different ArrayBuffer class (i.e. polyfills were toggled).
+*
+* @param {StreamView} writer
+* @returns {StreamView}
+*/
+StreamView.resetWriter = (writer) => {
+  if (writer == null || !(writer.arrayBuffer instanceof _config.ArrayBuffer)) {
+    return StreamView.createWriter();
+  }
+  writer.byteOffset = 0;
+  return writer;
+};
+
+/**
+* Create a stream view from a string.
+*
+* @param {string} string A string of encoded data.
+* @returns {StreamView}
+*/
+StreamView.createFromString = (string) => {
+  let codec = _codecs.uint8;
+  let streamView = StreamView.create(string.length);
+  for (let i = 0, il = string.length; i < il; i++) {
+    codec.set(streamView, string.charCodeAt(i));
+  }
+  streamView.byteOffset = 0;
+  return streamView;
+};
+
+/**
+* Create a stream view from binary data. If possible, the view will share
+* memory with the data instead of copying it.
+*
+* @param {ArrayBuffer|Uint8Array|Buffer} data Binary encoded data. Any typed
+*   array or DataView can be used, and so can Node's Buffer objects.
+* @returns {StreamView}
+*/
+StreamView.createFromBinary = (data) => {
+  if (data instanceof polyfill.ArrayBufferPolyfill) {
+    return new StreamView(new polyfill.DataViewPolyfill(data), data);
+  }
+  let arrayBuffer, byteOffset, byteLength;
+  if (_globals.ArrayBuffer != null && data instanceof _globals.ArrayBuffer) {
+    arrayBuffer = data;
+    byteOffset = 0;
+    byteLength = data.byteLength;
+  } else if (_globals.ArrayBuffer != null && _globals.ArrayBuffer.isView &&
+             _globals.ArrayBuffer.isView(data)) {
+    arrayBuffer = data.buffer;
+    byteOffset = data.byteOffset;
+    byteLength = data.byteLength;
+  } else {
+    throw new TypeError('data must be an ArrayBuffer, typed array, or Buffer');
+  }
+  if (_config.ArrayBuffer === _globals.ArrayBuffer &&
+      _config.DataView === _globals.DataView) {
+    const dataView = new _config.DataView(arrayBuffer, byteOffset, byteLength);
+    return new StreamView(dataView, arrayBuffer);
+  }
+
+  // We're using polyfills, so the bytes need to be copied into a polyfilled
+  // buffer instead.
+  const bytes = new Uint8Array(arrayBuffer, byteOffset, byteLength);
+  let codec = _codecs.uint8;
+  let streamView = StreamView.create(byteLength);
+  for (let i = 0; i < byteLength; i++) {
+    codec.set(streamView, bytes[i]);
+  }
+  streamView.byteOffset = 0;
+  return streamView;
+};
+
+
+/**
+* A bit view reads and writes values of any number of bits (up to 32) from a
+* stream view, starting at its current offset. Values are packed end to end,
+* starting with the most significant bit of each byte, so the result doesn't
+* depend on the byte order.
+*
+* The stream view's byteOffset points at the byte that's being read or
+* written, and align() moves it past any partially used byte when done.
+*/
+class BitView {
+  constructor(streamView) {
+    this.streamView = streamView;
+    this.bitOffset = 0;
+  }
+
+  /**
+  * Read an unsigned integer, or a signed one in two's complement.
+  *
+  * @param {number} bitLength
+  * @param {boolean} signed
+  * @returns {number}
+  */
+  getBits(bitLength, signed) {
+    const {streamView} = this;
+    let value = 0;
+    for (let remaining = bitLength; remaining > 0;) {
+      streamView.requireBytes(1);
+      const count = Math.min(8 - this.bitOffset, remaining);
+      const byte = streamView.dataView.getUint8(streamView.byteOffset);
+      value = ((value * (1 << count)) +
+               ((byte >> (8 - this.bitOffset - count)) & ((1 << count) - 1)));
+      remaining -= count;
+      this._advance(count);
+    }
+    if (signed && value >= Math.pow(2, bitLength - 1)) {
+      value -= Math.pow(2, bitLength);
+    }
+    return value;
+  }
+
+  /**
+  * Write an integer. Negative values are written in two's complement. The
+  * value must be an integer that fits in the given number of bits.
+  *
+  * @param {number} value
+  * @param {number} bitLength
+  */
+  setBits(value, bitLength) {
+    const {streamView} = this;
+    if (value < 0) {
+      value += Math.pow(2, bitLength);
+    }
+    for (let remaining = bitLength; remaining > 0;) {
+      streamView.reserve(1);
+      const count = Math.min(8 - this.bitOffset, remaining);
+      remaining -= count;
+      const bits = ((Math.floor(value / Math.pow(2, remaining)) &
+                     ((1 << count) - 1)) << (8 - this.bitOffset - count));
+      // Writers are reused, so start each byte from scratch.
+      const byte = (this.bitOffset === 0 ? bits :
+                    streamView.dataView.getUint8(streamView.byteOffset) |
+                    bits);
+      streamView.dataView.setUint8(streamView.byteOffset, byte);
+      this._advance(count);
+    }
+  }
+
+  /**
+  * Move the stream view to the next byte boundary.
+  */
+  align() {
+    if (this.bitOffset > 0) {
+      this.streamView.byteOffset++;
+      this.bitOffset = 0;
+    }
+  }
+
+  _advance(count) {
+    this.bitOffset += count;
+    if (this.bitOffset === 8) {
+      this.streamView.byteOffset++;
+      this.bitOffset = 0;
+    }
+  }
+}
+
+
+/**
+* Fields represent a single property in an object. These fields are grouped
+* into definition objects.
+*
+* JSON can't represent BigInts, so the defaults of bigInt64 and bigUint64
+* fields are written to JSON as decimal strings, and converted back when the
+* field is created.
+*/
+class Field {
+  constructor(options) {
+    const {key, type, valueType, optional} = options;
+    this.key = key;
+    this.type = type;
+    this.valueType = valueType;
+    this.optional = !!optional;
+    this.default = options.default;
+    if (!this.key) {
+      throw new Error('key is required');
+    }
+    if (!isValidType(this.type)) {
+      throw new Error(`Invalid type '${this.type}'`);
+    }
+    this.codec = createCodec(options);
+    const bigint = this.codec instanceof Integer64Codec && this.codec.bigint;
+    if (bigint && typeof this.default === 'string') {
+      this.default = BigInt(this.default);
+    } else if (!bigint && isBigInt(this.default)) {
+      throw new Error('BigInt defaults are only supported for bigInt64 and ' +
+                      'bigUint64 fields');
+    }
+  }
+
+  toJSON() {
+    let json = {key: this.key};
+    const descriptor = codecToJSON(this.codec);
+    const keys = Object.keys(descriptor);
+    for (let i = 0, il = keys.length; i < il; i++) {
+      json[keys[i]] = descriptor[keys[i]];
+    }
+    if (this.optional) {
+      json.optional = true;
+    }
+    if (isBigInt(this.default)) {
+      json.default = String(this.default);
+    } else if (this.default !== undefined) {
+      json.default = this.default;
+    }
+    return json;
+  }
+}
+
+
+/**
+* Definitions are a grouping of fields, and are used to encode or decode an
+* individual message. They can be grouped into schemas or used standalone.
+*/
+class Definition {
+  /**
+  * @param {string|Object|Codec} codec Type of codec, a type descriptor, or an
+  *   actual codec object for the values this definition encodes.
+  * @param {Object} options
+  * @param {boolean} options.littleEndian If true, values are encoded in
+  *   little endian byte order instead of big endian.
+  * @param {boolean} options.strict If true, values are validated before they
+  *   are encoded, and a ValidationError is thrown for values that would be
+  *   clamped or coerced (e.g. out of range integers or missing fields).
+  * @param {number} options.maxArrayLength The longest array (or boolean
+  *   array, or map) that will be decoded.
+  * @param {number} options.maxStringByteLength The longest string, in UTF-8
+  *   bytes, that will be decoded.
+  * @param {number} options.maxDepth The deepest nesting of objects, arrays,
+  *   tuples and maps that will be decoded.
+  * @param {boolean} options.allowTrailingBytes If true, bytes left over after
+  *   decoding a packet are ignored, instead of throwing a DecodeError.
+  *
+  * Decoding throws a DecodeError if the data is truncated, corrupted, or
+  * exceeds any of the limits. The limits are unset by default, so set them
+  * when decoding data from untrusted sources.
+  */
+  constructor(codec, options = {}) {
+    const {id, key, littleEndian, strict, codecArgs} = options;
+    if (typeof codec === 'string') {
+      if (!isValidType(codec)) {
+        throw new Error(`invalid definition type '${codec}'`);
+      }
+      codec = _codecs[codec] || new _codecTypes[codec](...codecArgs);
+    } else {
+      codec = createCodec(codec);
+    }
+    this.codec = codec;
+    this.id = id;
+    this.key = key;
+    this.littleEndian = !!littleEndian;
+    this.strict = !!strict;
+    setDecodeOptions(this, options);
+
+    // Encoding reuses a growable writer, so that its buffer doesn't need to
+    // be reallocated for every packet.
+    this._writer = null;
+  }
+
+  /**
+  * Return a JSON-compatible descriptor for the definition. See
+  * Schema.toJSON().
+  *
+  * @returns {Object}
+  */
+  toJSON() {
+    let json = {};
+    if (this.id != null) {
+      json.id = this.id;
+    }
+    if (this.key != null) {
+      json.key = this.key;
+    }
+    if (this.littleEndian) {
+      json.littleEndian = true;
+    }
+    if (this.strict) {
+      json.strict = true;
+    }
+    json.codec = codecToJSON(this.codec);
+    return json;
+  }
+
+  /**
+  * Throw a ValidationError if the value can't be encoded exactly as given.
+  *
+  * @param {*} object
+  */
+  validate(object) {
+    this.codec.validate(object, this.key || '');
+  }
+
+  /**
+  * Read an object from the given string.
+  *
+  * @param {string} string
+  * @returns {Object}
+  */
+  parse(string) {
+    return this._read(StreamView.createFromString(string));
+  }
+
+  /**
+  * Convert the given object into a string.
+  *
+  * @param {Object} object
+  * @returns {string}
+  */
+  stringify(object) {
+    return this._write(object).toString();
+  }
+
+  /**
+  * Read an object from the given binary data.
+  *
+  * @param {ArrayBuffer|Uint8Array|Buffer} data
+  * @returns {Object}
+  */
+  decode(data) {
+    return this._read(StreamView.createFromBinary(data));
+  }
+
+  /**
+  * Convert the given object into binary data.
+  *
+  * @param {Object} object
+  * @param {string} binaryType "arraybuffer" (the default), "uint8array", or
+  *   "nodebuffer".
+  * @returns {ArrayBuffer|Uint8Array|Buffer}
+  */
+  encode(object, binaryType) {
+    return this._write(object).toBinary(binaryType);
+  }
+
+  /**
+  * Read a delta written by stringifyDelta() from the given string, and
+  * return the updated object.
+  *
+  * @param {Object} prev The previous version of the object.
+  * @param {string} string
+  * @returns {Object}
+  */
+  parseDelta(prev, string) {
+    return this._readDelta(StreamView.createFromString(string), prev);
+  }
+
+  /**
+  * Convert the changes between two versions of an object into a string. Only
+  * the fields that changed will be encoded. This is only supported for
+  * object definitions.
+  *
+  * @param {Object} prev The previous version of the object.
+  * @param {Object} next The new version of the object.
+  * @returns {string}
+  */
+  stringifyDelta(prev, next) {
+    return this._writeDelta(prev, next).toString();
+  }
+
+  /**
+  * Like parseDelta(), but for binary data written by encodeDelta().
+  *
+  * @param {Object} prev The previous version of the object.
+  * @param {ArrayBuffer|Uint8Array|Buffer} data
+  * @returns {Object}
+  */
+  decodeDelta(prev, data) {
+    return this._readDelta(StreamView.createFromBinary(data), prev);
+  }
+
+  /**
+  * Like stringifyDelta(), but returns binary data.
+  *
+  * @param {Object} prev The previous version of the object.
+  * @param {Object} next The new version of the object.
+  * @param {string} binaryType "arraybuffer" (the default), "uint8array", or
+  *   "nodebuffer".
+  * @returns {ArrayBuffer|Uint8Array|Buffer}
+  */
+  encodeDelta(prev, next, binaryType) {
+    return this._writeDelta(prev, next).toBinary(binaryType);
+  }
+
+  _read(streamView) {
+    return this._decode(streamView, () => {
+      return this.codec.get(streamView, this.littleEndian);
+    });
+  }
+
+  _readDelta(streamView, prev) {
+    this._validateDelta();
+    return this._decode(streamView, () => {
+      return this.codec.getDelta(streamView, prev, this.littleEndian);
+    });
+  }
+
+  _decode(streamView, read) {
+    streamView.limits = this;
+    streamView.depth = 0;
+    try {
+      const value = read();
+      if (!this.allowTrailingBytes) {
+        streamView.checkTrailingBytes();
+      }
+      return value;
+    } catch (error) {
+      throw toDecodeError(error, streamView, this.key);
+    }
+  }
+
+  _write(object) {
+    if (this.strict) {
+      this.validate(object);
+    }
+    const writer = this._writer = StreamView.resetWriter(this._writer);
+    this.codec.set(writer, object, this.littleEndian);
+    return writer.finish();
+  }
+
+  _writeDelta(prev, next) {
+    this._validateDelta();
+    if (this.strict) {
+      this.validate(next);
+    }
+    const writer = this._writer = StreamView.resetWriter(this._writer);
+    this.codec.setDelta(writer, prev, next, this.littleEndian);
+    return writer.finish();
+  }
+
+  _validateDelta() {
+    if (typeof this.codec.setDelta !== 'function') {
+      throw new Error('Deltas are only supported for object definitions');
+    }
+  }
+}
+
+
+/**
+* A schema is a grouping of definitions. It allows you to encode packets
+* by name, in a way that can be decoded automatically by a matching schema
+* on the other end of a connection.
+*
+* Definition ids are encoded as a uint8 by default, which allows for 255
+* definitions. If you need more than that, you can pass an idType: option to
+* the constructor (uint16, uint32, or varuint).
+*
+* Definition ids start at 1. The id 0 is reserved for handshake packets,
+* which let the other end of the connection verify that its schema matches.
+*
+* By default, ids are assigned in the order that definitions are defined, so
+* reordering or removing a define() call changes the ids of the definitions
+* after it. To avoid this, you can pass an explicit id for each definition,
+* and reserve the ids of definitions that have been removed.
+*/
+class Schema {
+  constructor(options = {}) {
+    const {idType, littleEndian, strict} = options;
+    this.definitions = {};
+    this.definitionsById = {};
+    this.idType = idType || 'uint8';
+    this.nextDefinitionId = 1;
+    this.reservedIds = {};
+    this.littleEndian = !!littleEndian;
+    this.strict = !!strict;
+    setDecodeOptions(this, options);
+    if (ID_TYPES.indexOf(this.idType) === -1) {
+      throw new Error(`Invalid id type '${this.idType}'`);
+    }
+    this.idCodec = _codecs[this.idType];
+    this._writer = null;
+    this._batchWriter = null;
+  }
+
+  /**
+  * Add a definition to the schema. See jettison.define() for the arguments.
+  *
+  * The definition options can include an explicit `id` for the definition.
+  * Otherwise, the next unused id is assigned.
+  *
+  * @param {string} key A unique name for the definition.
+  * @param {string|Object|Codec} codec
+  * @param {...} args
+  * @returns {Definition}
+  */
+  define(key, codec, ...args) {
+    if (this.definitions.hasOwnProperty(key)) {
+      throw new Error(`'${key}' is already defined in schema`);
+    }
+    let options = getDefinitionOptions(codec, args);
+    if (options.littleEndian == null) {
+      options.littleEndian = this.littleEndian;
+    }
+    if (options.strict == null) {
+      options.strict = this.strict;
+    }
+    for (let i = 0, il = DECODE_OPTIONS.length; i < il; i++) {
+      if (options[DECODE_OPTIONS[i]] == null) {
+        options[DECODE_OPTIONS[i]] = this[DECODE_OPTIONS[i]];
+      }
+    }
+    if (options.id != null) {
+      this._validateId(options.id);
+    } else {
+      while (this._isIdTaken(this.nextDefinitionId)) {
+        this.nextDefinitionId++;
+      }
+      this._validateId(this.nextDefinitionId);
+      options.id = this.nextDefinitionId++;
+    }
+    options.key = key;
+    let definition = new Definition(codec, options);
+    this.definitions[key] = definition;
+    this.definitionsById[options.id] = definition;
+    return definition;
+  }
+
+  /**
+  * Reserve ids, so they won't be used by any definitions. This is useful for
+  * ids that belonged to definitions that have since been removed, so that
+  * they aren't reused by new definitions while old clients still use them.
+  *
+  * @param {...number} ids
+  */
+  reserve(...ids) {
+    for (let i = 0, il = ids.length; i < il; i++) {
+      this._validateId(ids[i]);
+      this.reservedIds[ids[i]] = true;
+    }
+  }
+
+  /**
+  * Return a JSON-compatible descriptor for the schema, including the ids,
+  * keys and types of all the definitions. This can be passed to
+  * jettison.loadSchema() to create an identical schema (e.g. so a server can
+  * send its schema to clients).
+  *
+  * @returns {Object}
+  */
+  toJSON() {
+    let definitions = Object.keys(this.definitionsById).map((id) => {
+      return this.definitionsById[id].toJSON();
+    });
+    definitions.sort((a, b) => {
+      return a.id - b.id;
+    });
+    let json = {
+      idType: this.idType,
+      littleEndian: this.littleEndian,
+      strict: this.strict,
+      definitions: definitions,
+    };
+    const reservedIds = Object.keys(this.reservedIds).map(Number);
+    if (reservedIds.length > 0) {
+      json.reservedIds = reservedIds.sort((a, b) => {
+        return a - b;
+      });
+    }
+    return json;
+  }
+
+  /**
+  * Return a hash of the schema's layout: the id type and byte order, and the
+  * id, key, byte order and type of every definition. Two schemas with the
+  * same fingerprint will encode and decode packets the same way. Options
+  * that only affect decoding (such as `typed` arrays) are ignored.
+  *
+  * @returns {string} The hash, as eight hex digits.
+  */
+  fingerprint() {
+    return formatFingerprint(this._getFingerprint());
+  }
+
+  /**
+  * Create a handshake packet, to be sent to the other end of the connection.
+  * The packet contains the schema's fingerprint. When the other end parses
+  * it, parse() will throw an error if the fingerprints don't match, rather
+  * than misreading packets later.
+  *
+  * @returns {string}
+  */
+  stringifyHandshake() {
+    return this._writeHandshake().toString();
+  }
+
+  /**
+  * Like stringifyHandshake(), but returns binary data.
+  *
+  * @param {string} binaryType "arraybuffer" (the default), "uint8array", or
+  *   "nodebuffer".
+  * @returns {ArrayBuffer|Uint8Array|Buffer}
+  */
+  encodeHandshake(binaryType) {
+    return this._writeHandshake().toBinary(binaryType);
+  }
+
+  /**
+  * Read a packet from the given string.
+  *
+  * If the packet is a handshake packet, the fingerprint in the packet is
+  * checked against this schema's, and an error is thrown if they don't
+  * match. If they do match, the returned key will be null.
+  *
+  * @param {string} string
+  * @returns {{key: string, data: *}}
+  */
+  parse(string) {
+    return this._read(StreamView.createFromString(string));
+  }
+
+  /**
+  * Convert a packet into a string.
+  *
+  * @param {string} key Key of the definition to use for the packet.
+  * @param {*} object
+  * @returns {string}
+  */
+  stringify(key, object) {
+    return this._write(key, object).toString();
+  }
+
+  /**
+  * Read a packet from the given binary data.
+  *
+  * @param {ArrayBuffer|Uint8Array|Buffer} data
+  * @returns {{key: string, data: *}}
+  */
+  decode(data) {
+    return this._read(StreamView.createFromBinary(data));
+  }
+
+  /**
+  * Convert a packet into binary data.
+  *
+  * @param {string} key Key of the definition to use for the packet.
+  * @param {*} object
+  * @param {string} binaryType "arraybuffer" (the default), "uint8array", or
+  *   "nodebuffer".
+  * @returns {ArrayBuffer|Uint8Array|Buffer}
+  */
+  encode(key, object, binaryType) {
+    return this._write(key, object).toBinary(binaryType);
+  }
+
+  /**
+  * Read a delta packet written by stringifyDelta() from the given string.
+  *
+  * @param {string} key Key of the definition the packet is expected to use.
+  * @param {Object} prev The previous version of the object.
+  * @param {string} string
+  * @returns {{key: string, data: Object}}
+  */
+  parseDelta(key, prev, string) {
+    return this._readDelta(StreamView.createFromString(string), key, prev);
+  }
+
+  /**
+  * Convert the changes between two versions of an object into a string. See
+  * Definition.stringifyDelta().
+  *
+  * @param {string} key Key of the definition to use for the packet.
+  * @param {Object} prev The previous version of the object.
+  * @param {Object} next The new version of the object.
+  * @returns {string}
+  */
+  stringifyDelta(key, prev, next) {
+    return this._writeDelta(key, prev, next).toString();
+  }
+
+  /**
+  * Like parseDelta(), but for binary data written by encodeDelta().
+  *
+  * @param {string} key Key of the definition the packet is expected to use.
+  * @param {Object} prev The previous version of the object.
+  * @param {ArrayBuffer|Uint8Array|Buffer} data
+  * @returns {{key: string, data: Object}}
+  */
+  decodeDelta(key, prev, data) {
+    return this._readDelta(StreamView.createFromBinary(data), key, prev);
+  }
+
+  /**
+  * Like stringifyDelta(), but returns binary data.
+  *
+  * @param {string} key Key of the definition to use for the packet.
+  * @param {Object} prev The previous version of the object.
+  * @param {Object} next The new version of the object.
+  * @param {string} binaryType "arraybuffer" (the default), "uint8array", or
+  *   "nodebuffer".
+  * @returns {ArrayBuffer|Uint8Array|Buffer}
+  */
+  encodeDelta(key, prev, next, binaryType) {
+    return this._writeDelta(key, prev, next).toBinary(binaryType);
+  }
+
+  /**
+  * Convert a list of packets written by stringifyBatch() back into objects.
+  *
+  * @param {string} string
+  * @returns {Array.<{key: string, data: *}>}
+  */
+  parseBatch(string) {
+    return this._readBatch(StreamView.createFromString(string));
+  }
+
+  /**
+  * Convert a list of packets into a single string, so they can be sent as
+  * one message. The batch is prefixed with the number of packets, and each
+  * packet with its byte length.
+  *
+  * @param {Array.<{key: string, data: *}>} packets
+  * @returns {string}
+  */
+  stringifyBatch(packets) {
+    return this._writeBatch(packets).toString();
+  }
+
+  /**
+  * Like parseBatch(), but for binary data written by encodeBatch().
+  *
+  * @param {ArrayBuffer|Uint8Array|Buffer} data
+  * @returns {Array.<{key: string, data: *}>}
+  */
+  decodeBatch(data) {
+    return this._readBatch(StreamView.createFromBinary(data));
+  }
+
+  /**
+  * Like stringifyBatch(), but returns binary data.
+  *
+  * @param {Array.<{key: string, data: *}>} packets
+  * @param {string} binaryType "arraybuffer" (the default), "uint8array", or
+  *   "nodebuffer".
+  * @returns {ArrayBuffer|Uint8Array|Buffer}
+  */
+  encodeBatch(packets, binaryType) {
+    return this._writeBatch(packets).toBinary(binaryType);
+  }
+
+  _isIdTaken(id) {
+    return (this.definitionsById.hasOwnProperty(id) ||
+            this.reservedIds.hasOwnProperty(id));
+  }
+
+  _validateId(id) {
+    const maxValue = this.idCodec.maxValue;
+    if (typeof id !== 'number' || id % 1 !== 0 || id < 1) {
+      throw new Error(`Invalid definition id '${id}'`);
+    } else if (id > maxValue) {
+      throw new RangeError(`Definition id ${id} is too large for ` +
+                           `${this.idType} ids`);
+    } else if (this.definitionsById.hasOwnProperty(id)) {
+      throw new Error(`Definition id ${id} is already used by ` +
+                      `'${this.definitionsById[id].key}'`);
+    } else if (this.reservedIds.hasOwnProperty(id)) {
+      throw new Error(`Definition id ${id} is reserved`);
+    }
+  }
+
+  _getDefinition(key) {
+    let definition = this.definitions[key];
+    if (definition == null) {
+      throw new Error(`'${key}' is not defined in schema`);
+    }
+    return definition;
+  }
+
+  _getDefinitionById(id) {
+    let definition = this.definitionsById[id];
+    if (definition == null) {
+      // Ids always come first, so the offset is always 0.
+      throw new DecodeError(`'${id}' is not defined in schema`, 0);
+    }
+    return definition;
+  }
+
+  _readDefinition(streamView) {
+    return this._getDefinitionById(this._readId(streamView));
+  }
+
+  _readHandshake(streamView) {
+    let fingerprint;
+    try {
+      fingerprint = formatFingerprint(
+        _codecs.uint32.get(streamView, this.littleEndian));
+      if (!this.allowTrailingBytes) {
+        streamView.checkTrailingBytes();
+      }
+    } catch (error) {
+      throw toDecodeError(error, streamView);
+    }
+    if (fingerprint !== this.fingerprint()) {
+      throw new Error(`Schema mismatch: expected fingerprint ` +
+                      `${this.fingerprint()}, got ${fingerprint}`);
+    }
+    return {key: null, data: {fingerprint: fingerprint}};
+  }
+
+  _getFingerprint() {
+    const definitions = this.toJSON().definitions.map((definition) => {
+      return {
+        id: definition.id,
+        key: definition.key,
+        littleEndian: !!definition.littleEndian,
+        codec: getLayoutDescriptor(definition.codec),
+      };
+    });
+    return hashString(JSON.stringify({
+      idType: this.idType,
+      littleEndian: this.littleEndian,
+      definitions: definitions,
+    }));
+  }
+
+  _read(streamView) {
+    const id = this._readId(streamView);
+    if (id === HANDSHAKE_ID) {
+      return this._readHandshake(streamView);
+    }
+    let definition = this._getDefinitionById(id);
+    return {
+      key: definition.key,
+      data: definition._read(streamView),
+    };
+  }
+
+  _readDelta(streamView, key, prev) {
+    let definition = this._readDefinition(streamView);
+    if (definition.key !== key) {
+      throw new Error(`Expected a '${key}' packet, got '${definition.key}'`);
+    }
+    return {
+      key: definition.key,
+      data: definition._readDelta(streamView, prev),
+    };
+  }
+
+  _readBatch(streamView) {
+    streamView.limits = this;
+    try {
+      const length = _codecs.varuint.get(streamView, this.littleEndian);
+      streamView.checkLimit('maxArrayLength', length, 'Batch length');
+      let packets = [];
+      for (let i = 0; i < length; i++) {
+        const byteLength = _codecs.varuint.get(streamView, this.littleEndian);
+        packets.push(this._read(streamView.subview(byteLength)));
+      }
+      if (!this.allowTrailingBytes) {
+        streamView.checkTrailingBytes();
+      }
+      return packets;
+    } catch (error) {
+      throw toDecodeError(error, streamView);
+    }
+  }
+
+  _readId(streamView) {
+    try {
+      return this.idCodec.get(streamView, this.littleEndian);
+    } catch (error) {
+      throw toDecodeError(error, streamView);
+    }
+  }
+
+  _write(key, object) {
+    return this._writePacket(key, object).finish();
+  }
+
+  _writePacket(key, object) {
+    let definition = this._getDefinition(key);
+    if (definition.strict) {
+      definition.validate(object);
+    }
+    const writer = this._writer = StreamView.resetWriter(this._writer);
+    this.idCodec.set(writer, definition.id, this.littleEndian);
+    definition.codec.set(writer, object, definition.littleEndian);
+    return writer;
+  }
+
+  _writeBatch(packets) {
+    if (!Array.isArray(packets)) {
+      throw new Error('packets must be an array');
+    }
+    const batch = this._batchWriter = StreamView.resetWriter(
+      this._batchWriter);
+    _codecs.varuint.set(batch, packets.length, this.littleEndian);
+    for (let i = 0, il = packets.length; i < il; i++) {
+      const {key, data} = packets[i] || {};
+      const packet = this._writePacket(key, data);
+      _codecs.varuint.set(batch, packet.byteOffset, this.littleEndian);
+      batch.setBytesFrom(packet, packet.byteOffset);
+    }
+    return batch.finish();
+  }
+
+  _writeHandshake() {
+    const writer = this._writer = StreamView.resetWriter(this._writer);
+    this.idCodec.set(writer, HANDSHAKE_ID, this.littleEndian);
+    _codecs.uint32.set(writer, this._getFingerprint(), this.littleEndian);
+    return writer.finish();
+  }
+
+  _writeDelta(key, prev, next) {
+    let definition = this._getDefinition(key);
+    definition._validateDelta();
+    if (definition.strict) {
+      definition.validate(next);
+    }
+    const writer = this._writer = StreamView.resetWriter(this._writer);
+    this.idCodec.set(writer, definition.id, this.littleEndian);
+    definition.codec.setDelta(writer, prev, next, definition.littleEndian);
+    return writer.finish();
+  }
+}
+
+
+/**
+* Create a new Schema object.
+*
+* @param {Object} options
+* @param {string} options.idType The type used to encode definition ids:
+*   uint8 (the default), uint16, uint32, or varuint.
+* @param {boolean} options.littleEndian The default byte order for the
+*   schema's definitions.
+* @param {boolean} options.strict Validate values before encoding them, for
+*   every definition in the schema. See Definition.
+* @param {number} options.maxArrayLength
+* @param {number} options.maxStringByteLength
+* @param {number} options.maxDepth
+* @param {boolean} options.allowTrailingBytes Decoding limits for every
+*   definition in the schema. See Definition.
+* @returns {Schema}
+*/
+export function createSchema(options) {
+  return new Schema(options);
+}
+
+
+/**
+* Create a new Schema object from a descriptor returned by Schema.toJSON().
+*
+* Decoding limits aren't part of the descriptor, since they're up to each
+* side of the connection. They can be passed as options instead.
+*
+* @param {Object|string} json The descriptor, or a JSON string of it.
+* @param {Object} options Decoding limits for the schema (see createSchema).
+* @returns {Schema}
+*/
+export function loadSchema(json, options) {
+  if (typeof json === 'string') {
+    json = JSON.parse(json);
+  }
+  let schemaOptions = {
+    idType: json.idType,
+    littleEndian: json.littleEndian,
+    strict: json.strict,
+  };
+  for (let i = 0, il = DECODE_OPTIONS.length; i < il; i++) {
+    if (options != null && options[DECODE_OPTIONS[i]] != null) {
+      schemaOptions[DECODE_OPTIONS[i]] = options[DECODE_OPTIONS[i]];
+    }
+  }
+  let schema = new Schema(schemaOptions);
+  schema.reserve(...(json.reservedIds || []));
+  const definitions = json.definitions || [];
+  for (let i = 0, il = definitions.length; i < il; i++) {
+    const {id, key, littleEndian, strict, codec} = definitions[i];
+    schema.define(key, codec, {
+      id: id,
+      littleEndian: !!littleEndian,
+      strict: !!strict,
+    });
+  }
+  return schema;
+}
+
+
+/**
+* Create a new Definition object.
+*
+* If the codec is a type name, any other arguments are passed along when
+* creating the codec (e.g. `define('object', fields)`). Definition options
+* can be mixed into the last argument, if it's an options object (e.g.
+* `define('object', fields, {extensible: true, id: 7})`). If the codec is a
+* type descriptor or a codec object, the next argument can be an object of
+* definition options (e.g. `define({type: 'object', fields}, {strict: true})`).
+*
+* @param {string|Object|Codec} codec Type of codec, a type descriptor, or an
+*   actual codec object for the values this definition encodes.
+* @param {...} args Any arguments to pass along when creating a codec, or
+*   definition options.
+* @returns {Definition}
+*/
+export function define(codec, ...args) {
+  return new Definition(codec, getDefinitionOptions(codec, args));
+}
+
+
+/**
+* Return the Definition options for the arguments passed to define(). See
+* define() for the different forms the arguments can take.
+*
+* @param {string|Object|Codec} codec
+* @param {Array} args
+* @returns {Object}
+*/
+function getDefinitionOptions(codec, args) {
+  let options = {};
+  if (typeof codec === 'string') {
+    options.codecArgs = args;
+    const last = args[args.length - 1];
+    // Type descriptors (e.g. an array's value type) aren't options.
+    if (last != null && typeof last === 'object' && !Array.isArray(last) &&
+        !isCodec(last) && last.type === undefined) {
+      for (let i = 0, il = DEFINITION_OPTIONS.length; i < il; i++) {
+        if (last[DEFINITION_OPTIONS[i]] !== undefined) {
+          options[DEFINITION_OPTIONS[i]] = last[DEFINITION_OPTIONS[i]];
+        }
+      }
+    }
+  } else if (args[0] != null) {
+    const keys = Object.keys(args[0]);
+    for (let i = 0, il = keys.length; i < il; i++) {
+      options[keys[i]] = args[0][keys[i]];
     }
   }
+  return options;
 }
 
-_codecTypes.array = ArrayCodec;
-_codecTypes.boolean = BooleanCodec;
-_codecTypes.booleanArray = BooleanArrayCodec;
-_codecTypes.float = FloatCodec;
-_codecTypes.int = IntegerCodec;
-_codecTypes.object = ObjectCodec;
-_codecTypes.string = StringCodec;
-_codecTypes.variableLength = VariableLengthUnsignedIntegerCodec;
 
-// This is a set of shared codec instances which can safely be reused between
-// definitions and such. Array and Object don't have instances here, because
-// they have instance-specific options, so they are created on the fly.
-_codecs.boolean = new BooleanCodec();
-_codecs.booleanArray = new BooleanArrayCodec();
-_codecs.float32 = new FloatCodec({byteLength: 4});
-_codecs.float64 = new FloatCodec({byteLength: 8});
-_codecs.int8 = new IntegerCodec({byteLength: 1, signed: true});
-_codecs.int16 = new IntegerCodec({byteLength: 2, signed: true});
-_codecs.int32 = new IntegerCodec({byteLength: 4, signed: true});
-_codecs.string = new StringCodec();
-_codecs.uint8 = new IntegerCodec({byteLength: 1, signed: false});
-_codecs.uint16 = new IntegerCodec({byteLength: 2, signed: false});
-_codecs.uint32 = new IntegerCodec({byteLength: 4, signed: false});
-_codecs.variableLength = new VariableLengthUnsignedIntegerCodec();
+/**
+* Create a codec from a type descriptor. A descriptor is either the name of a
+* type (such as "uint8"), or an object with a `type` key and any options that
+* the type needs (such as `{type: 'object', fields: [...]}` or
+* `{type: 'array', valueType: 'float64'}`). Descriptors can be nested to any
+* depth. Codec objects are passed through as is.
+*
+* @param {string|Object|Codec} descriptor
+* @returns {Codec}
+*/
+function createCodec(descriptor) {
+  if (isCodec(descriptor)) {
+    return descriptor;
+  }
+  const type = getType(descriptor);
+  if (!isValidType(type)) {
+    throw new Error(`Invalid type '${type}'`);
+  }
+  if (type === 'array') {
+    return new ArrayCodec(descriptor.valueType, descriptor);
+  } else if (type === 'object') {
+    return new ObjectCodec(descriptor.fields, descriptor);
+  } else if (type === 'tuple') {
+    return new TupleCodec(descriptor.valueTypes);
+  } else if (type === 'union') {
+    return new UnionCodec(descriptor.variants, descriptor);
+  } else if (_codecs.hasOwnProperty(type)) {
+    return _codecs[type];
+  } else {
+    return new _codecTypes[type](descriptor);
+  }
+}
 
 
 /**
-* A stream view is an abstraction around a data view and array buffer for
-* reading and writing data while keeping track of a cursor position.
+* Return a type descriptor for the codec. See createCodec().
+*
+* @param {Codec} codec
+* @returns {Object}
 */
-class StreamView {
-  constructor(dataView, arrayBuffer) {
-    this.dataView = dataView;
-    this.arrayBuffer = arrayBuffer;
-    this.byteOffset = 0;
+function codecToJSON(codec) {
+  if (typeof codec.toJSON !== 'function') {
+    throw new Error('Codec does not support toJSON()');
   }
+  return codec.toJSON();
+}
 
-  toArray() {
-    let array = new Array(this.dataView.byteLength);
-    for (let i = 0, il = this.dataView.byteLength; i < il; i++) {
-      array[i] = this.dataView.getUint8(i);
-    }
-    return array;
-  }
 
-  toString() {
-    let string = '';
-    for (let i = 0, il = this.dataView.byteLength; i < il; i++) {
-      string += String.fromCharCode(this.dataView.getUint8(i));
+/**
+* Return a copy of a type descriptor without any decode-only options (see
+* DECODE_ONLY_CODEC_OPTIONS), for fingerprinting.
+*
+* @param {*} descriptor A type descriptor, or any value nested in one.
+* @returns {*}
+*/
+function getLayoutDescriptor(descriptor) {
+  if (Array.isArray(descriptor)) {
+    return descriptor.map(getLayoutDescriptor);
+  } else if (descriptor == null || typeof descriptor !== 'object') {
+    return descriptor;
+  }
+  const omit = DECODE_ONLY_CODEC_OPTIONS[descriptor.type] || [];
+  let layout = {};
+  const keys = Object.keys(descriptor);
+  for (let i = 0, il = keys.length; i < il; i++) {
+    const key = keys[i];
+    if (omit.indexOf(key) !== -1) {
+      continue;
     }
-    return string;
+    // Field defaults are values, not descriptors.
+    layout[key] = (key === 'default' ? descriptor[key] :
+                   getLayoutDescriptor(descriptor[key]));
   }
+  return layout;
 }
 
+
 /**
-* Create a new stream view.
+* Format a schema fingerprint as a string of eight hex digits.
 *
-* @param {number} byteLength Number of bytes to allocate for the view.
-* @returns {StreamView}
+* @param {number} fingerprint
+* @returns {string}
 */
-StreamView.create = (byteLength) => {
-  let arrayBuffer = new _config.ArrayBuffer(byteLength);
-  let dataView = new _config.DataView(arrayBuffer);
-  return new StreamView(dataView, arrayBuffer);
-};
+function formatFingerprint(fingerprint) {
+  return ('0000000' + fingerprint.toString(16)).slice(-8);
+}
+
 
 /**
-* Create a stream view from a string.
+* Return a 32-bit FNV-1a hash of the string.
 *
-* @param {string} string A string of encoded data.
-* @returns {StreamView}
+* @param {string} string
+* @returns {number}
 */
-StreamView.createFromString = (string) => {
-  let codec = _codecs.uint8;
-  let streamView = StreamView.create(string.length);
+function hashString(string) {
+  let hash = 2166136261;
   for (let i = 0, il = string.length; i < il; i++) {
-    codec.set(streamView, string.charCodeAt(i));
+    hash ^= string.charCodeAt(i);
+    // Multiply by the FNV prime (2^24 + 403), without overflowing 32 bits.
+    hash = (hash + (hash << 1) + (hash << 4) + (hash << 7) + (hash << 8) +
+            (hash << 24)) >>> 0;
   }
-  streamView.byteOffset = 0;
-  return streamView;
-};
+  return hash;
+}
 
 
 /**
-* Fields represent a single property in an object. These fields are grouped
-* into definition objects.
+* Return the number of fields in the list that are optional.
+*
+* @param {Array.<Field>} fields
+* @returns {number}
 */
-class Field {
-  constructor({key, type, valueType}) {
-    this.key = key;
-    this.type = type;
-    this.valueType = valueType;
-    if (!this.key) {
-      throw new Error('key is required');
+function countOptionalFields(fields) {
+  let count = 0;
+  for (let i = 0, il = fields.length; i < il; i++) {
+    if (fields[i].optional) {
+      count++;
     }
-    if (!isValidType(this.type)) {
-      throw new Error(`Invalid type '${this.type}'`);
+  }
+  return count;
+}
+
+
+/**
+* Return true if the two values are deeply equal. Null and undefined are
+* considered equal, as are two NaN values. Maps are compared by their
+* entries.
+*
+* @param {*} a
+* @param {*} b
+* @returns {boolean}
+*/
+function isEqual(a, b) {
+  if (a === b || (a == null && b == null)) {
+    return true;
+  } else if (a == null || b == null ||
+             typeof a !== 'object' || typeof b !== 'object') {
+    return a !== a && b !== b;
+  } else if (Array.isArray(a) || Array.isArray(b)) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+      return false;
     }
-    if (this.type === 'array') {
-      // FIXME: should be able to do arrays of arrays or strings
-      if (this.valueType === 'array' || this.valueType === 'string' ||
-          !isValidType(this.valueType)) {
-        throw new Error(`Invalid array value type '${this.valueType}'`);
+    for (let i = 0, il = a.length; i < il; i++) {
+      if (!isEqual(a[i], b[i])) {
+        return false;
+      }
+    }
+    return true;
+  } else if (isMap(a) || isMap(b)) {
+    if (!isMap(a) || !isMap(b) || a.size !== b.size) {
+      return false;
+    }
+    let equal = true;
+    a.forEach((value, key) => {
+      if (equal && (!b.has(key) || !isEqual(value, b.get(key)))) {
+        equal = false;
+      }
+    });
+    return equal;
+  } else {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+      return false;
+    }
+    for (let i = 0, il = keys.length; i < il; i++) {
+      if (!isEqual(a[keys[i]], b[keys[i]])) {
+        return false;
       }
-      this.codec = new ArrayCodec(this.valueType);
-    } else {
-      this.codec = _codecs[this.type];
     }
+    return true;
   }
 }
 
 
 /**
-* Definitions are a grouping of fields, and are used to encode or decode an
-* individual message. They can be grouped into schemas or used standalone.
+* Return the number of bytes needed to store the given number of bit flags.
+*
+* @param {number} length Number of flags.
+* @returns {number}
 */
-class Definition {
-  constructor(codec, {id, key, littleEndian, codecArgs} = {}) {
-    if (typeof codec === 'string') {
-      if (!isValidType(codec)) {
-        throw new Error(`invalid definition type '${codec}'`);
-      }
-      codec = _codecs[codec] || new _codecTypes[codec](...codecArgs);
+function getBitFlagsByteLength(length) {
+  return Math.ceil(length / 8) * _codecs.uint8.byteLength;
+}
+
+
+/**
+* Return the number of bits needed to store the given number of distinct
+* values (e.g. 3 bits for 5 to 8 values).
+*
+* @param {number} count
+* @returns {number}
+*/
+function getBitLength(count) {
+  let bitLength = 1;
+  while (Math.pow(2, bitLength) < count) {
+    bitLength++;
+  }
+  return bitLength;
+}
+
+
+/**
+* Read an unsigned integer from the stream, one byte at a time. This is for
+* integers that don't fit one of DataView's types, such as 3 byte integers.
+*
+* @param {StreamView} streamView
+* @param {number} byteLength
+* @param {boolean} littleEndian
+* @returns {number}
+*/
+function readUnsigned(streamView, byteLength, littleEndian) {
+  streamView.requireBytes(byteLength);
+  let value = 0;
+  for (let i = 0; i < byteLength; i++) {
+    const byteIndex = littleEndian ? byteLength - 1 - i : i;
+    value = (value * 256) + streamView.dataView.getUint8(
+      streamView.byteOffset + byteIndex);
+  }
+  streamView.byteOffset += byteLength;
+  return value;
+}
+
+
+/**
+* Write an unsigned integer into the stream. See readUnsigned().
+*
+* @param {StreamView} streamView
+* @param {number} value
+* @param {number} byteLength
+* @param {boolean} littleEndian
+*/
+function writeUnsigned(streamView, value, byteLength, littleEndian) {
+  streamView.reserve(byteLength);
+  for (let i = byteLength - 1; i >= 0; i--) {
+    const byteIndex = littleEndian ? byteLength - 1 - i : i;
+    streamView.dataView.setUint8(streamView.byteOffset + byteIndex,
+                                 value % 256);
+    value = Math.floor(value / 256);
+  }
+  streamView.byteOffset += byteLength;
+}
+
+
+/**
+* Throw a RangeError if a varuint or varint being decoded already has the
+* maximum number of bytes, but its last byte says that another one follows.
+*
+* @param {number} byteLength Number of bytes read so far.
+*/
+function checkVarintByteLength(byteLength) {
+  if (byteLength >= MAX_VARINT_BYTE_LENGTH) {
+    throw new RangeError('Variable length integer is longer than ' +
+                         `${MAX_VARINT_BYTE_LENGTH} bytes`);
+  }
+}
+
+
+/**
+* Read a set of bit flags from the stream. The flags are packed eight to a
+* byte, starting with the least significant bit.
+*
+* @param {StreamView} streamView
+* @param {number} length Number of flags to read.
+* @param {boolean} littleEndian
+* @returns {Array.<boolean>}
+*/
+function readBitFlags(streamView, length, littleEndian) {
+  let flags = [];
+  const byteLength = Math.ceil(length / 8);
+  let i = 0;
+  for (let byteIndex = 0; byteIndex < byteLength; byteIndex++) {
+    const byte = _codecs.uint8.get(streamView, littleEndian);
+    for (let bit = 0; bit < 8 && i < length; bit++, i++) {
+      flags.push(((byte >> bit) & 1) ? true : false);
     }
-    this.codec = codec;
-    this.id = id;
-    this.key = key;
-    this.littleEndian = littleEndian;
   }
+  return flags;
+}
 
-  /**
-  * Read an object from the given string.
-  *
-  * @param {string} string
-  * @returns {Object}
-  */
-  parse(string) {
-    return this.codec.get(StreamView.createFromString(string));
+
+/**
+* Write a set of bit flags into the stream. See readBitFlags().
+*
+* @param {StreamView} streamView
+* @param {Array.<boolean>} flags
+* @param {number} length Number of flags to write.
+* @param {boolean} littleEndian
+*/
+function writeBitFlags(streamView, flags, length, littleEndian) {
+  let byte = 0, bit = 0;
+  for (let i = 0; i < length; i++, bit++) {
+    if (bit === 8) {
+      _codecs.uint8.set(streamView, byte, littleEndian);
+      byte = 0;
+      bit = 0;
+    }
+    byte |= (flags[i] ? 1 : 0) << bit;
   }
+  if (bit > 0) {
+    _codecs.uint8.set(streamView, byte, littleEndian);
+  }
+}
 
-  /**
-  * Convert the given object into a string.
-  *
-  * @param {Object} object
-  * @returns {string}
-  */
-  stringify(object) {
-    let streamView = StreamView.create(this.codec.getByteLength(object));
-    this.codec.set(streamView, object);
-    return streamView.toString();
+
+/**
+* Throw a ValidationError if the value isn't an integer within the range.
+*
+* @param {*} value
+* @param {number} minValue
+* @param {number} maxValue
+* @param {string} path
+*/
+function validateInteger(value, minValue, maxValue, path) {
+  if (typeof value !== 'number' || value !== value) {
+    throw new ValidationError('expected a number', path);
+  } else if (value % 1 !== 0) {
+    throw new ValidationError(`${value} is not an integer`, path);
+  } else if (value < minValue || value > maxValue) {
+    throw new ValidationError(`${value} is out of range`, path);
   }
 }
 
 
 /**
-* A schema is a grouping of definitions. It allows you to encode packets
-* by name, in a way that can be decoded automatically by a matching schema
-* on the other end of a connection.
+* Copy the decoding options (see Definition) onto a definition or schema.
 *
-* Note that this assumes you won't have more than 255 packets, for now. If
-* you need more than that, you can pass an idType: option to the constructor.
+* @param {Definition|Schema} target
+* @param {Object} options
 */
-class Schema {
-  constructor({idType} = {}) {
-    this.definitions = {};
-    this.definitionsById = {};
-    this.idType = idType || 'uint8';
-    this.nextDefinitionId = 1;
+function setDecodeOptions(target, options) {
+  target.allowTrailingBytes = !!options.allowTrailingBytes;
+  for (let i = 0, il = DECODE_LIMITS.length; i < il; i++) {
+    const name = DECODE_LIMITS[i];
+    const value = options[name];
+    if (value != null && (typeof value !== 'number' || value < 0)) {
+      throw new Error(`${name} must be a non-negative number`);
+    }
+    target[name] = value != null ? value : null;
   }
+}
 
-  define(key, codec, ...args) {
-    const id = this.nextDefinitionId++;
-    let definition = new Definition(codec, {id: id, key: key, codecArgs: args});
-    this.definitions[key] = definition;
-    this.definitionsById[id] = definition;
-    return definition;
+
+/**
+* Convert an error thrown while decoding into a DecodeError, if it isn't one
+* already (e.g. a RangeError for an invalid enum index).
+*
+* @param {Error} error
+* @param {StreamView} streamView
+* @param {string} key Key of the packet's definition, if known.
+* @returns {DecodeError}
+*/
+function toDecodeError(error, streamView, key) {
+  if (!(error instanceof DecodeError)) {
+    error = new DecodeError(error.message, streamView.byteOffset);
   }
+  if (key != null && error.key == null) {
+    error._setKey(key);
+  }
+  return error;
+}
 
-  parse(string) {
-    let streamView = StreamView.createFromString(string);
-    let idCodec = _codecs[this.idType];
-    let id = idCodec.get(streamView);
-    let definition = this.definitionsById[id];
-    if (definition == null) {
-      throw new Error(`'${id}' is not defined in schema`);
+
+/**
+* Convert an error thrown while decoding a nested value into a DecodeError,
+* and add the value's key or index to its path.
+*
+* @param {Error} error
+* @param {StreamView} streamView
+* @param {string} segment A key, or an index like "[3]".
+* @returns {DecodeError}
+*/
+function addDecodeErrorPath(error, streamView, segment) {
+  error = toDecodeError(error, streamView);
+  error._addPath(segment);
+  return error;
+}
+
+
+/**
+* Count the number of bytes needed to encode a string as UTF-8, without
+* actually encoding it. Surrogate pairs take 4 bytes, and lone surrogates
+* take 3 (they're replaced with U+FFFD, see replaceLoneSurrogates()).
+* Non-string values count as empty strings.
+*
+* @param {string} string
+* @returns {number}
+*/
+function getUTF8ByteLength(string) {
+  if (typeof string !== 'string') {
+    return 0;
+  }
+  let byteLength = 0;
+  for (let i = 0, il = string.length; i < il; i++) {
+    const code = string.charCodeAt(i);
+    if (code < 0x80) {
+      byteLength += 1;
+    } else if (code < 0x800) {
+      byteLength += 2;
+    } else if (code >= 0xd800 && code <= 0xdbff && i + 1 < il &&
+               string.charCodeAt(i + 1) >= 0xdc00 &&
+               string.charCodeAt(i + 1) <= 0xdfff) {
+      byteLength += 4;
+      i++;
+    } else {
+      byteLength += 3;
     }
-    return {
-      key: definition.key,
-      data: definition.codec.get(streamView),
-    };
   }
+  return byteLength;
+}
 
-  stringify(key, object) {
-    let definition = this.definitions[key];
-    if (definition == null) {
-      throw new Error(`'${key}' is not defined in schema`);
+
+/**
+* Replace any lone surrogates in a string with U+FFFD, the same way that
+* TextEncoder does.
+*
+* @param {string} string
+* @returns {string}
+*/
+function replaceLoneSurrogates(string) {
+  let result = '';
+  let start = 0;
+  for (let i = 0, il = string.length; i < il; i++) {
+    const code = string.charCodeAt(i);
+    if (code < 0xd800 || code > 0xdfff) {
+      continue;
+    } else if (code <= 0xdbff && i + 1 < il &&
+               string.charCodeAt(i + 1) >= 0xdc00 &&
+               string.charCodeAt(i + 1) <= 0xdfff) {
+      i++;
+    } else {
+      result += string.slice(start, i) + '\ufffd';
+      start = i + 1;
     }
-    let idCodec = _codecs[this.idType];
-    let streamView = StreamView.create(idCodec.byteLength +
-                                       definition.codec.getByteLength(object));
-    idCodec.set(streamView, definition.id);
-    definition.codec.set(streamView, object);
-    return streamView.toString();
   }
+  return start === 0 ? string : result + string.slice(start);
 }
 
 
 /**
-* Create a new Schema object.
+* Check whether a value is a Map, without requiring Map to exist.
+*
+* @param {*} value
+* @returns {boolean}
 */
-export function createSchema() {
-  return new Schema();
+function isMap(value) {
+  return Object.prototype.toString.call(value) === '[object Map]';
 }
 
 
 /**
-* Create a new Definition object.
+* Return the type name for a type descriptor.
 *
-* @param {string|Codec} codec Type of codec or an actual codec object for the
-*   values this definition encodes.
-* @param {...} args Any arguments to pass along when creating a codec.
-* @returns {Definition}
+* @param {string|Object} descriptor
+* @returns {string}
 */
-export function define(codec, ...args) {
-  return new Definition(codec, {codecArgs: args});
+function getType(descriptor) {
+  return (descriptor != null && typeof descriptor === 'object' ?
+          descriptor.type : descriptor);
+}
+
+
+/**
+* Round a number towards zero, the same way DataView does for integers.
+*
+* @param {number} value
+* @returns {number}
+*/
+function truncate(value) {
+  return value < 0 ? Math.ceil(value) : Math.floor(value);
+}
+
+
+/**
+* Return true if the value is a BigInt.
+*
+* @param {*} value
+* @returns {boolean}
+*/
+function isBigInt(value) {
+  return Object.prototype.toString.call(value) === '[object BigInt]';
+}
+
+
+/**
+* Return true if the value is a codec object, rather than a type descriptor.
+*
+* @param {*} value
+* @returns {boolean}
+*/
+function isCodec(value) {
+  return (value != null && typeof value.get === 'function' &&
+          typeof value.set === 'function');
 }
 
 
@@ -655,3 +3935,4 @@ export function isValidType(type) {
 
 export var _polyfill = polyfill;
 export var _StreamView = StreamView;
+export var _BitView = BitView;
@@ -5,6 +5,7 @@
 * needs of Jettison.
 */
 
+/* globals BigInt: false */
 'use strict';
 
 export let log2 = Math.log2 || ((value) => {
@@ -342,7 +343,12 @@ export class IntegerPolyfill {
     this.byteLength = byteLength;
     this.bitLength = this.byteLength * 8;
     this.signed = signed;
-    if (this.signed) {
+    if (this.bitLength === 64) {
+      // Numbers can't represent all 64-bit values, so these are read and
+      // written as BigInt values, split into two 32-bit halves.
+      this.highPolyfill = new IntegerPolyfill({byteLength: 4, signed: signed});
+      this.lowPolyfill = new IntegerPolyfill({byteLength: 4, signed: false});
+    } else if (this.signed) {
       this.signBit = Math.pow(2, this.bitLength - 1);
       this.minValue = -Math.pow(2, this.bitLength - 1);
       this.maxValue = Math.pow(2, this.bitLength - 1) - 1;
@@ -353,6 +359,9 @@ export class IntegerPolyfill {
   }
 
   get(bytes, byteOffset, littleEndian) {
+    if (this.bitLength === 64) {
+      return this._getBigInt(bytes, byteOffset, littleEndian);
+    }
     let i, increment;
     if (littleEndian) {
       i = 0;
@@ -376,6 +385,9 @@ export class IntegerPolyfill {
   }
 
   set(bytes, byteOffset, value, littleEndian) {
+    if (this.bitLength === 64) {
+      return this._setBigInt(bytes, byteOffset, value, littleEndian);
+    }
     let i, increment;
     if (littleEndian) {
       i = 0;
@@ -397,6 +409,28 @@ export class IntegerPolyfill {
     }
     return this.byteLength;
   }
+
+  _getBigInt(bytes, byteOffset, littleEndian) {
+    const highOffset = byteOffset + (littleEndian ? 4 : 0);
+    const lowOffset = byteOffset + (littleEndian ? 0 : 4);
+    const high = this.highPolyfill.get(bytes, highOffset, littleEndian);
+    const low = this.lowPolyfill.get(bytes, lowOffset, littleEndian);
+    return BigInt(high) * BigInt(4294967296) + BigInt(low);
+  }
+
+  _setBigInt(bytes, byteOffset, value, littleEndian) {
+    // Like DataView's setBigInt64(), values that are out of range wrap around
+    // instead of being clamped. The high half is written as unsigned here,
+    // because the sign is already encoded in its bits.
+    value = BigInt.asUintN(64, BigInt(value));
+    const high = Number(value / BigInt(4294967296));
+    const low = Number(value % BigInt(4294967296));
+    const highOffset = byteOffset + (littleEndian ? 4 : 0);
+    const lowOffset = byteOffset + (littleEndian ? 0 : 4);
+    this.lowPolyfill.set(bytes, highOffset, high, littleEndian);
+    this.lowPolyfill.set(bytes, lowOffset, low, littleEndian);
+    return this.byteLength;
+  }
 }
 
 
@@ -447,6 +481,14 @@ export class DataViewPolyfill {
     }
   }
 
+  getBigInt64(byteOffset, littleEndian) {
+    return this._get(this._polyfills.int64, byteOffset, littleEndian);
+  }
+
+  getBigUint64(byteOffset, littleEndian) {
+    return this._get(this._polyfills.uint64, byteOffset, littleEndian);
+  }
+
   getFloat32(byteOffset, littleEndian) {
     return this._get(this._polyfills.float32, byteOffset, littleEndian);
   }
@@ -479,6 +521,14 @@ export class DataViewPolyfill {
     return this._get(this._polyfills.uint32, byteOffset, littleEndian);
   }
 
+  setBigInt64(byteOffset, value, littleEndian) {
+    return this._set(this._polyfills.int64, byteOffset, value, littleEndian);
+  }
+
+  setBigUint64(byteOffset, value, littleEndian) {
+    return this._set(this._polyfills.uint64, byteOffset, value, littleEndian);
+  }
+
   setFloat32(byteOffset, value, littleEndian) {
     return this._set(this._polyfills.float32, byteOffset, value, littleEndian);
   }
@@ -528,7 +578,9 @@ DataViewPolyfill.prototype._polyfills = {
   int8: new IntegerPolyfill({byteLength: 1, signed: true}),
   int16: new IntegerPolyfill({byteLength: 2, signed: true}),
   int32: new IntegerPolyfill({byteLength: 4, signed: true}),
+  int64: new IntegerPolyfill({byteLength: 8, signed: true}),
   uint8: new IntegerPolyfill({byteLength: 1, signed: false}),
   uint16: new IntegerPolyfill({byteLength: 2, signed: false}),
-  uint32: new IntegerPolyfill({byteLength: 4, signed: false})
+  uint32: new IntegerPolyfill({byteLength: 4, signed: false}),
+  uint64: new IntegerPolyfill({byteLength: 8, signed: false})
 };
@@ -1,5 +1,5 @@
 /* jshint expr: true */
-/* globals before: false, describe: false, it: false */
+/* globals BigInt: false, before: false, describe: false, it: false */
 'use strict';
 
 import {expect} from 'chai';
@@ -47,7 +47,8 @@ function describeJettison({withPolyfills}={}) {
       if (expectedOutValue instanceof Approx) {
         expect(Math.abs(outValue - expectedOutValue.value))
           .to.be.lessThan(expectedOutValue.epsilon);
-      } else if (isNaN(expectedOutValue)) {
+      } else if (typeof expectedOutValue === 'number' &&
+                 isNaN(expectedOutValue)) {
         expect(isNaN(outValue)).to.be.true;
       } else if (expectedOutValue instanceof Array) {
         expect(outValue).to.deep.equal(expectedOutValue);
@@ -154,6 +155,219 @@ function describeJettison({withPolyfills}={}) {
       testCodec(codec, 4294967296, [255, 255, 255, 255], 4294967295);
     });
 
+    it('should convert int64 values', () => {
+      let codec = jettison._codecs.int64;
+      testCodec(codec, 0, [0, 0, 0, 0, 0, 0, 0, 0], 0);
+      testCodec(codec, 1, [0, 0, 0, 0, 0, 0, 0, 1], 1);
+      testCodec(codec, -1, [255, 255, 255, 255, 255, 255, 255, 255], -1);
+      testCodec(codec, 4294967296, [0, 0, 0, 1, 0, 0, 0, 0], 4294967296);
+      testCodec(codec, 1500000000123, [0, 0, 1, 93, 62, 247, 152, 123],
+                1500000000123);
+      testCodec(codec, 9007199254740991,
+                [0, 31, 255, 255, 255, 255, 255, 255], 9007199254740991);
+      testCodec(codec, -9007199254740991,
+                [255, 224, 0, 0, 0, 0, 0, 1], -9007199254740991);
+      testCodec(codec, BigInt(-2), [255, 255, 255, 255, 255, 255, 255, 254],
+                -2);
+
+      let streamView = StreamView.create(8);
+      expect(() => {
+        codec.set(streamView, 9007199254740992);
+      }).to.throw(RangeError);
+      expect(() => {
+        codec.set(streamView, BigInt('-9007199254740992'));
+      }).to.throw(RangeError);
+      jettison._codecs.bigInt64.set(streamView,
+                                    BigInt('9223372036854775807'));
+      streamView.byteOffset = 0;
+      expect(() => {
+        codec.get(streamView);
+      }).to.throw(RangeError);
+    });
+
+    it('should convert uint64 values', () => {
+      let codec = jettison._codecs.uint64;
+      testCodec(codec, 0, [0, 0, 0, 0, 0, 0, 0, 0], 0);
+      testCodec(codec, 4294967295, [0, 0, 0, 0, 255, 255, 255, 255],
+                4294967295);
+      testCodec(codec, 9007199254740991,
+                [0, 31, 255, 255, 255, 255, 255, 255], 9007199254740991);
+      testCodec(codec, -1, [0, 0, 0, 0, 0, 0, 0, 0], 0);
+
+      let streamView = StreamView.create(8);
+      jettison._codecs.bigUint64.set(streamView,
+                                     BigInt('18446744073709551615'));
+      streamView.byteOffset = 0;
+      expect(() => {
+        codec.get(streamView);
+      }).to.throw(RangeError);
+    });
+
+    it('should convert bigInt64 values', () => {
+      let codec = jettison._codecs.bigInt64;
+      testCodec(codec, BigInt(0), [0, 0, 0, 0, 0, 0, 0, 0], BigInt(0));
+      testCodec(codec, BigInt(-1), [255, 255, 255, 255, 255, 255, 255, 255],
+                BigInt(-1));
+      testCodec(codec, 1, [0, 0, 0, 0, 0, 0, 0, 1], BigInt(1));
+      testCodec(codec, BigInt('9223372036854775807'),
+                [127, 255, 255, 255, 255, 255, 255, 255],
+                BigInt('9223372036854775807'));
+      testCodec(codec, BigInt('-9223372036854775808'),
+                [128, 0, 0, 0, 0, 0, 0, 0],
+                BigInt('-9223372036854775808'));
+      testCodec(codec, BigInt('9223372036854775808'),
+                [127, 255, 255, 255, 255, 255, 255, 255],
+                BigInt('9223372036854775807'));
+    });
+
+    it('should convert bigUint64 values', () => {
+      let codec = jettison._codecs.bigUint64;
+      testCodec(codec, BigInt(0), [0, 0, 0, 0, 0, 0, 0, 0], BigInt(0));
+      testCodec(codec, BigInt('18446744073709551615'),
+                [255, 255, 255, 255, 255, 255, 255, 255],
+                BigInt('18446744073709551615'));
+      testCodec(codec, BigInt('1311768467463790320'),
+                [18, 52, 86, 120, 154, 188, 222, 240],
+                BigInt('1311768467463790320'));
+      testCodec(codec, BigInt(-1), [0, 0, 0, 0, 0, 0, 0, 0], BigInt(0));
+    });
+
+    it('should convert 64-bit BigInts without DataView BigInt methods', () => {
+      const methods = ['getBigInt64', 'setBigInt64', 'getBigUint64',
+                       'setBigUint64'];
+      const originals = methods.map((name) => {
+        return Object.getOwnPropertyDescriptor(global.DataView.prototype,
+                                               name);
+      });
+      methods.forEach((name) => {
+        delete global.DataView.prototype[name];
+      });
+      try {
+        testCodec(jettison._codecs.bigInt64, BigInt(-2),
+                  [255, 255, 255, 255, 255, 255, 255, 254], BigInt(-2));
+        testCodec(jettison._codecs.bigInt64, BigInt('-9223372036854775808'),
+                  [128, 0, 0, 0, 0, 0, 0, 0],
+                  BigInt('-9223372036854775808'));
+        testCodec(jettison._codecs.bigInt64, BigInt('9223372036854775807'),
+                  [127, 255, 255, 255, 255, 255, 255, 255],
+                  BigInt('9223372036854775807'));
+        testCodec(jettison._codecs.bigUint64, BigInt('1311768467463790320'),
+                  [18, 52, 86, 120, 154, 188, 222, 240],
+                  BigInt('1311768467463790320'));
+        testCodec(jettison._codecs.bigUint64, BigInt('18446744073709551615'),
+                  [255, 255, 255, 255, 255, 255, 255, 255],
+                  BigInt('18446744073709551615'));
+        const definition = jettison.define('bigInt64');
+        expect(definition.decode(definition.encode(BigInt(5))))
+          .to.equal(BigInt(5));
+      } finally {
+        methods.forEach((name, i) => {
+          Object.defineProperty(global.DataView.prototype, name,
+                                originals[i]);
+        });
+      }
+    });
+
+    it('should convert variable length unsigned integer values', () => {
+      let codec = jettison._codecs.varuint;
+      expect(codec).to.equal(jettison._codecs.variableLength);
+      // Don't bother testing the little endian version, as this is all bytes
+      // and the endian type doesn't matter.
+      testEndianCodec(codec, 0, [0], 0);
+      testEndianCodec(codec, 127, [127], 127);
+      testEndianCodec(codec, 128, [128, 1], 128);
+      testEndianCodec(codec, 16384, [128, 128, 1], 16384);
+      testEndianCodec(codec, 2147483648, [128, 128, 128, 128, 8], 2147483648);
+      testEndianCodec(codec, 4294967296, [128, 128, 128, 128, 16],
+                      4294967296);
+      testEndianCodec(codec, 9007199254740991,
+                      [255, 255, 255, 255, 255, 255, 255, 15],
+                      9007199254740991);
+      testEndianCodec(codec, -1, [0], 0);
+      testEndianCodec(codec, 9007199254740992,
+                      [255, 255, 255, 255, 255, 255, 255, 15],
+                      9007199254740991);
+
+      // Corrupt data can't decode to longer or unsafe values.
+      expect(() => {
+        codec.get(StreamView.createFromBinary(new Uint8Array([
+          255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 1,
+        ])));
+      }).to.throw(RangeError, /longer than 8 bytes/);
+      expect(() => {
+        codec.get(StreamView.createFromBinary(new Uint8Array([
+          255, 255, 255, 255, 255, 255, 255, 16,
+        ])));
+      }).to.throw(RangeError, /outside the safe integer range/);
+      expect(() => {
+        jettison.define('array', 'uint8').parse('\xff'.repeat(10) + '\x01');
+      }).to.throw(jettison.DecodeError, /longer than 8 bytes at byte 8/);
+    });
+
+    it('should convert variable length signed integer values', () => {
+      let codec = jettison._codecs.varint;
+      testEndianCodec(codec, 0, [0], 0);
+      testEndianCodec(codec, -1, [1], -1);
+      testEndianCodec(codec, 1, [2], 1);
+      testEndianCodec(codec, -64, [127], -64);
+      testEndianCodec(codec, 63, [126], 63);
+      testEndianCodec(codec, 64, [128, 1], 64);
+      testEndianCodec(codec, -65, [129, 1], -65);
+      testEndianCodec(codec, 2147483648, [128, 128, 128, 128, 16],
+                      2147483648);
+      testEndianCodec(codec, 9007199254740991,
+                      [254, 255, 255, 255, 255, 255, 255, 31],
+                      9007199254740991);
+      testEndianCodec(codec, -9007199254740991,
+                      [253, 255, 255, 255, 255, 255, 255, 31],
+                      -9007199254740991);
+
+      expect(() => {
+        codec.get(StreamView.createFromBinary(new Uint8Array([
+          255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 1,
+        ])));
+      }).to.throw(RangeError, /longer than 8 bytes/);
+      expect(() => {
+        codec.get(StreamView.createFromBinary(new Uint8Array([
+          255, 255, 255, 255, 255, 255, 255, 32,
+        ])));
+      }).to.throw(RangeError, /outside the safe integer range/);
+    });
+
+    it('should convert enum values', () => {
+      let codec = new jettison._codecTypes.enum({
+        values: ['north', 'east', 'south', 'west'],
+      });
+      expect(codec.byteLength).to.equal(1);
+      testEndianCodec(codec, 'north', [0], 'north');
+      testEndianCodec(codec, 'west', [3], 'west');
+
+      let streamView = StreamView.create(1);
+      expect(() => {
+        codec.set(streamView, 'up');
+      }).to.throw(/Invalid enum value 'up'/);
+      jettison._codecs.uint8.set(streamView, 4);
+      streamView.byteOffset = 0;
+      expect(() => {
+        codec.get(streamView);
+      }).to.throw(/Invalid enum index 4/);
+
+      let values = [];
+      for (let i = 0; i < 300; i++) {
+        values.push(i);
+      }
+      codec = new jettison._codecTypes.enum({values: values});
+      expect(codec.byteLength).to.equal(2);
+      testCodec(codec, 299, [1, 43], 299);
+
+      expect(() => {
+        new jettison._codecTypes.enum({values: []});
+      }).to.throw(/non-empty array/);
+      expect(() => {
+        new jettison._codecTypes.enum({values: ['a', 'b', 'a']});
+      }).to.throw(/Duplicate enum value 'a'/);
+    });
+
     it('should convert float32 values', () => {
       let codec = jettison._codecs.float32;
       testCodec(codec, NaN, [127, 192, 0, 0], NaN);
@@ -200,6 +414,129 @@ function describeJettison({withPolyfills}={}) {
       testCodec(codec, 1e-310, [0, 0, 18, 104, 139, 112, 230, 43], 1e-310);
     });
 
+    it('should convert quantized values', () => {
+      let codec = new jettison._codecTypes.quantized({
+        min: -10,
+        max: 10,
+        precision: 0.01,
+      });
+      expect(codec.bits).to.equal(11);
+      expect(codec.byteLength).to.equal(2);
+      testCodec(codec, 0, [3, 232], new Approx(0, 1e-9));
+      testCodec(codec, 1.234, [4, 99], new Approx(1.23, 1e-9));
+      testCodec(codec, -10, [0, 0], -10);
+      testCodec(codec, 10, [7, 208], 10);
+      testCodec(codec, 50, [7, 208], 10);
+      testCodec(codec, -50, [0, 0], -10);
+      testCodec(codec, NaN, [3, 232], new Approx(0, 1e-9));
+
+      codec = new jettison._codecTypes.quantized({min: 0, max: 1000, bits: 24});
+      expect(codec.byteLength).to.equal(3);
+      testCodec(codec, 1000, [255, 255, 255], 1000);
+      testCodec(codec, 500, [128, 0, 0], new Approx(500, 1e-4));
+      testCodec(codec, 0.001, [0, 0, 17], new Approx(0.001, 3e-5));
+
+      codec = new jettison._codecTypes.quantized({
+        min: 0,
+        max: 1,
+        bits: 10,
+        clamp: false,
+      });
+      expect(() => {
+        codec.set(StreamView.create(2), 1.5);
+      }).to.throw(RangeError, /1.5 is outside the range 0 to 1/);
+      const streamView = StreamView.create(2);
+      jettison._codecs.uint16.set(streamView, 1024);
+      streamView.byteOffset = 0;
+      expect(() => {
+        codec.get(streamView);
+      }).to.throw(RangeError, /Invalid quantized index 1024/);
+
+      expect(() => {
+        new jettison._codecTypes.quantized({min: 1, max: 0, bits: 8});
+      }).to.throw(/min and max must be numbers, with min < max/);
+      expect(() => {
+        new jettison._codecTypes.quantized({min: 0, max: 1});
+      }).to.throw(/Either precision or bits is required/);
+      expect(() => {
+        new jettison._codecTypes.quantized({min: 0, max: 1, bits: 33});
+      }).to.throw(/bits must be an integer from 1 to 32/);
+      expect(() => {
+        new jettison._codecTypes.quantized({min: 0, max: 1e6, precision: 1e-6});
+      }).to.throw(/precision 0.000001 needs 40 bits/);
+    });
+
+    it('should convert bit integer values', () => {
+      let codec = new jettison._codecTypes.bitUint({bits: 3});
+      expect(codec.byteLength).to.equal(1);
+      testCodec(codec, 5, [5], 5);
+      testCodec(codec, 9, [7], 7);
+      testCodec(codec, -1, [0], 0);
+      testCodec(codec, 2.7, [2], 2);
+
+      codec = new jettison._codecTypes.bitInt({bits: 5});
+      testCodec(codec, -3, [29], -3);
+      testCodec(codec, 20, [15], 15);
+      testCodec(codec, -20, [16], -16);
+
+      codec = new jettison._codecTypes.bitUint({bits: 24});
+      expect(codec.byteLength).to.equal(3);
+      testCodec(codec, 0x123456, [0x12, 0x34, 0x56], 0x123456);
+      expect(codec.toJSON()).to.deep.equal({type: 'bitUint', bits: 24});
+
+      codec = new jettison._codecTypes.bitUint({bits: 3});
+      const streamView = StreamView.create(1);
+      jettison._codecs.uint8.set(streamView, 8);
+      streamView.byteOffset = 0;
+      expect(() => {
+        codec.get(streamView);
+      }).to.throw(RangeError, /8 is out of range for a 3-bit integer/);
+      expect(() => {
+        new jettison._codecTypes.bitInt({bits: 0});
+      }).to.throw(/bits must be an integer from 1 to 32/);
+    });
+
+    it('should read and write bits', () => {
+      let writer = StreamView.createWriter(1);
+      // Reused writers contain stale bytes, which must be overwritten.
+      jettison._codecs.uint32.set(writer, 0xffffffff);
+      writer = StreamView.resetWriter(writer);
+      let bitView = new jettison._BitView(writer);
+      bitView.setBits(5, 3);
+      bitView.setBits(1, 1);
+      bitView.setBits(0xabc, 12);
+      bitView.setBits(0xdeadbeef, 32);
+      bitView.setBits(-3, 5);
+      expect(writer.byteOffset).to.equal(6);
+      bitView.align();
+      expect(writer.byteOffset).to.equal(7);
+      let streamView = writer.finish();
+      expect(streamView.toArray()).to.deep.equal([
+        0xba, 0xbc, 0xde, 0xad, 0xbe, 0xef, 0xe8,
+      ]);
+      bitView = new jettison._BitView(streamView);
+      expect(bitView.getBits(3)).to.equal(5);
+      expect(bitView.getBits(1)).to.equal(1);
+      expect(bitView.getBits(12)).to.equal(0xabc);
+      expect(bitView.getBits(32)).to.equal(0xdeadbeef);
+      expect(bitView.getBits(5, true)).to.equal(-3);
+      bitView.align();
+      expect(streamView.byteOffset).to.equal(7);
+      expect(() => {
+        bitView.getBits(1);
+      }).to.throw(jettison.DecodeError, /Unexpected end of data at byte 7/);
+
+      // Values can span bytes without being aligned.
+      writer = StreamView.createWriter(1);
+      bitView = new jettison._BitView(writer);
+      bitView.setBits(1, 1);
+      bitView.setBits(0xdeadbeef, 32);
+      bitView.align();
+      expect(writer.finish().toArray()).to.deep.equal([
+        0xef, 0x56, 0xdf, 0x77, 0x80,
+      ]);
+    });
+
     it('should convert string values', () => {
       let codec = jettison._codecs.string;
       expect(codec).to.exist;
@@ -214,6 +551,72 @@ function describeJettison({withPolyfills}={}) {
       expect(unpacked).to.equal('hodør');
     });
 
+    it('should convert multi-byte and long string values', () => {
+      const codec = jettison._codecs.string;
+      const strings = ['', 'a', 'ß', '€uro', 'hi 😀', '漢字', 'a'.repeat(300)];
+      for (let i = 0, il = strings.length; i < il; i++) {
+        const byteLength = Buffer.byteLength(strings[i], 'utf8');
+        const streamView = StreamView.create(codec.getByteLength(strings[i]));
+        codec.set(streamView, strings[i], false);
+        expect(streamView.byteOffset).to.equal(
+          streamView.dataView.byteLength);
+        const bytes = streamView.toArray();
+        expect(bytes.slice(bytes.length - byteLength)).to.deep.equal(
+          Array.prototype.slice.call(Buffer.from(strings[i], 'utf8')));
+        streamView.byteOffset = 0;
+        expect(codec.get(streamView, false)).to.equal(strings[i]);
+      }
+      expect(codec.getByteLength('a'.repeat(300))).to.equal(302);
+
+      // Values that aren't strings are encoded as empty strings.
+      expect(codec.getByteLength(null)).to.equal(1);
+      expect(jettison.define('string').stringify(undefined)).to.equal('\x00');
+
+      // Lone surrogates are replaced, like the native encoders do.
+      const definition = jettison.define('string');
+      expect(definition.stringify('a\ud800')).to.equal('\x04a\xef\xbf\xbd');
+      expect(definition.parse(definition.stringify('a\ud800')))
+        .to.equal('a\ufffd');
+      const surrogates = '\udc00b\ud83d\ude00\ud800';
+      expect(definition.parse(definition.stringify(surrogates)))
+        .to.equal('\ufffdb\ud83d\ude00\ufffd');
+
+      // Invalid UTF-8 is rejected, rather than replaced.
+      expect(() => {
+        definition.decode(new Uint8Array([2, 0xc3, 0x28]));
+      }).to.throw(jettison.DecodeError, /Invalid UTF-8 string at byte 1/);
+      expect(() => {
+        definition.parse('\x03\xed\xa0\x80');
+      }).to.throw(jettison.DecodeError, /Invalid UTF-8 string at byte 1/);
+      expect(definition.parse(definition.stringify('\ufeffa')))
+        .to.equal('\ufeffa');
+    });
+
+    it('should grow writers as values are written to them', () => {
+      const writer = StreamView.createWriter(1);
+      expect(writer.growable).to.be.true;
+      jettison._codecs.uint8.set(writer, 1);
+      jettison._codecs.string.set(writer, 'hodør');
+      jettison._codecs.float64.set(writer, 0.5);
+      expect(writer.byteOffset).to.equal(16);
+      expect(writer.arrayBuffer.byteLength).to.be.at.least(16);
+
+      const streamView = writer.finish();
+      expect(streamView.growable).to.be.false;
+      expect(streamView.arrayBuffer.byteLength).to.equal(16);
+      expect(streamView.toArray()).to.deep.equal([
+        1,
+        6, 104, 111, 100, 195, 184, 114,
+        63, 224, 0, 0, 0, 0, 0, 0,
+      ]);
+      expect(writer.byteOffset).to.equal(0);
+
+      // Fixed size views can't grow.
+      expect(() => {
+        jettison._codecs.uint16.set(StreamView.create(1), 1);
+      }).to.throw(RangeError);
+    });
+
     it('should convert between byte arrays and strings', () => {
       let codec = jettison._codecs.float64;
       let streamView = StreamView.create(codec.byteLength);
@@ -279,6 +682,84 @@ function describeJettison({withPolyfills}={}) {
         expect(value).to.deep.equal(expectedValue);
       });
 
+      it('should convert native values to binary data', () => {
+        const arrayBuffer = definition.encode(expectedValue);
+        expect(arrayBuffer).to.be.an.instanceof(jettison._config.ArrayBuffer);
+        expect(arrayBuffer.byteLength).to.equal(string.length);
+
+        const uint8Array = definition.encode(expectedValue, 'uint8array');
+        expect(uint8Array).to.be.an.instanceof(Uint8Array);
+        expect(Array.prototype.slice.call(uint8Array))
+          .to.deep.equal(streamView.toArray());
+
+        const buffer = definition.encode(expectedValue, 'nodebuffer');
+        expect(Buffer.isBuffer(buffer)).to.be.true;
+        expect(buffer.toString('binary')).to.equal(string);
+
+        expect(() => {
+          definition.encode(expectedValue, 'blob');
+        }).to.throw(/Invalid binary type/);
+      });
+
+      it('should convert binary data back to native values', () => {
+        expect(definition.decode(definition.encode(expectedValue)))
+          .to.deep.equal(expectedValue);
+        expect(definition.decode(definition.encode(expectedValue,
+                                                   'uint8array')))
+          .to.deep.equal(expectedValue);
+
+        // Buffers are often slices of a larger chunk of memory, so make sure
+        // the offset into the underlying buffer is respected.
+        const buffer = Buffer.concat([
+          Buffer.from([255, 255, 255]),
+          definition.encode(expectedValue, 'nodebuffer'),
+        ]).slice(3);
+        expect(buffer.byteOffset).to.not.equal(0);
+        expect(definition.decode(buffer)).to.deep.equal(expectedValue);
+
+        expect(() => {
+          definition.decode(string);
+        }).to.throw(TypeError);
+      });
+
+      it('should encode values in a single pass', () => {
+        const definition = jettison.define('array', {type: 'object', fields: [
+          {key: 'id', type: 'uint8'},
+          {key: 'name', type: 'string'},
+          {key: 'tags', type: 'array', valueType: 'string'},
+          {key: 'kind', type: 'enum', values: ['worker', 'soldier']},
+        ]});
+        const value = [];
+        for (let i = 0; i < 100; i++) {
+          value.push({id: i, name: `unit ${i}`, tags: ['a', 'bc'],
+                      kind: 'worker'});
+        }
+        const expectedString = definition.stringify(value);
+
+        // Encoding shouldn't need to measure the value first.
+        const getByteLength = definition.codec.getByteLength;
+        definition.codec.getByteLength = () => {
+          throw new Error('getByteLength() was called');
+        };
+        try {
+          expect(definition.stringify(value)).to.equal(expectedString);
+          const writer = definition._writer;
+          expect(definition.parse(definition.stringify(value.slice(0, 1))))
+            .to.deep.equal(value.slice(0, 1));
+          expect(definition._writer).to.equal(writer);
+
+          // A failed encode doesn't leave junk in the reused writer.
+          expect(() => {
+            definition.stringify(value.concat([{kind: 'general'}]));
+          }).to.throw(/Invalid enum value/);
+          expect(definition.stringify(value)).to.equal(expectedString);
+        } finally {
+          definition.codec.getByteLength = getByteLength;
+        }
+        expect(definition.codec.getByteLength(value))
+          .to.equal(expectedString.length);
+      });
+
       it('should allow you to use other types for the definition', () => {
         const definition = jettison.define('array', 'string');
 
@@ -297,6 +778,947 @@ function describeJettison({withPolyfills}={}) {
         const value = definition.parse(string);
         expect(value).to.deep.equal(expectedValue);
       });
+
+      it('should allow nested objects and arrays of objects', () => {
+        const definition = jettison.define('object', [
+          {key: 'id', type: 'uint8'},
+          {key: 'pos', type: 'object', fields: [
+            {key: 'x', type: 'int8'},
+            {key: 'y', type: 'int8'},
+          ]},
+          {key: 'units', type: 'array', valueType: {type: 'object', fields: [
+            {key: 'id', type: 'uint8'},
+            {key: 'tags', type: 'array', valueType: {
+              type: 'object',
+              fields: [{key: 'flag', type: 'boolean'}],
+            }},
+          ]}},
+        ]);
+        expect(definition.codec.fields[1].codec.byteLength).to.equal(2);
+
+        const expectedValue = {
+          id: 1,
+          pos: {x: -1, y: 2},
+          units: [
+            {id: 2, tags: [{flag: true}, {flag: false}]},
+            {id: 3, tags: []},
+          ],
+        };
+        let streamView = StreamView.create(
+          definition.codec.getByteLength(expectedValue));
+        definition.codec.set(streamView, expectedValue);
+        expect(streamView.toArray()).to.deep.equal([
+          1,
+          255, 2,
+          2,
+          2, 2, 1, 0,
+          3, 0,
+        ]);
+
+        const value = definition.parse(definition.stringify(expectedValue));
+        expect(value).to.deep.equal(expectedValue);
+      });
+
+      it('should allow arrays of strings and arrays of arrays', () => {
+        const definition = jettison.define('object', [
+          {key: 'messages', type: 'array', valueType: 'string'},
+          {key: 'tiles', type: 'array', valueType: {
+            type: 'array', valueType: 'uint16'}},
+          {key: 'grid', type: 'array', valueType: {
+            type: 'array', valueType: {type: 'array', valueType: 'float64'}}},
+        ]);
+
+        const expectedValue = {
+          messages: ['hi', 'hodør'],
+          tiles: [[1, 2], [], [258]],
+          grid: [[[0.5], [1.5, -2.5]], []],
+        };
+        let streamView = StreamView.create(
+          definition.codec.getByteLength(expectedValue));
+        definition.codec.set(streamView, expectedValue);
+        expect(streamView.toArray().slice(0, 23)).to.deep.equal([
+          2,
+          2, 104, 105,
+          6, 104, 111, 100, 195, 184, 114,
+          3,
+          2, 0, 1, 0, 2,
+          0,
+          1, 1, 2,
+          2,
+          2,
+        ]);
+
+        const value = definition.parse(definition.stringify(expectedValue));
+        expect(value).to.deep.equal(expectedValue);
+      });
+
+      it('should allow optional fields', () => {
+        const definition = jettison.define('object', [
+          {key: 'id', type: 'uint8'},
+          {key: 'name', type: 'string', optional: true},
+          {key: 'health', type: 'int16', optional: true},
+          {key: 'pos', type: 'object', optional: true, fields: [
+            {key: 'x', type: 'int8'},
+            {key: 'y', type: 'int8'},
+          ]},
+        ]);
+        expect(definition.codec.fixedByteLength).to.be.false;
+
+        let expectedValue = {id: 1, health: 0};
+        let streamView = StreamView.create(
+          definition.codec.getByteLength(expectedValue));
+        definition.codec.set(streamView, {id: 1, name: null, health: 0});
+        expect(streamView.toArray()).to.deep.equal([2, 1, 0, 0]);
+        streamView.byteOffset = 0;
+        let value = definition.codec.get(streamView);
+        expect(value).to.deep.equal(expectedValue);
+        expect(value.hasOwnProperty('name')).to.be.false;
+
+        expectedValue = {id: 2, name: 'a', health: -1, pos: {x: 1, y: 2}};
+        value = definition.parse(definition.stringify(expectedValue));
+        expect(value).to.deep.equal(expectedValue);
+
+        expectedValue = {id: 3};
+        expect(definition.stringify(expectedValue).length).to.equal(2);
+        value = definition.parse(definition.stringify(expectedValue));
+        expect(value).to.deep.equal(expectedValue);
+      });
+
+      it('should allow enum fields', () => {
+        const definition = jettison.define('object', [
+          {key: 'kind', type: 'enum', values: ['worker', 'soldier']},
+          {key: 'states', type: 'array', valueType: {
+            type: 'enum', values: ['idle', 'moving', 'attacking']}},
+        ]);
+        const expectedValue = {kind: 'soldier', states: ['moving', 'idle']};
+        const string = definition.stringify(expectedValue);
+        expect(string).to.equal('\x01\x02\x01\x00');
+        expect(definition.parse(string)).to.deep.equal(expectedValue);
+      });
+
+      it('should allow fixed length arrays', () => {
+        const vec3 = jettison.define('array', 'float32', {length: 3});
+        expect(vec3.codec.fixedByteLength).to.be.true;
+        expect(vec3.codec.byteLength).to.equal(12);
+        expect(vec3.toJSON().codec).to.deep.equal({
+          type: 'array',
+          valueType: {type: 'float32'},
+          length: 3,
+        });
+        const string = vec3.stringify([1, 2, 3]);
+        expect(string.length).to.equal(12);
+        expect(vec3.parse(string)).to.deep.equal([1, 2, 3]);
+        expect(() => {
+          vec3.stringify([1, 2]);
+        }).to.throw(/Expected an array of length 3, got 2/);
+        expect(() => {
+          jettison.define('array', 'float32', {length: -1});
+        }).to.throw(/length must be a non-negative integer/);
+
+        // Fixed length arrays of dynamic values skip the prefix, too.
+        const names = jettison.define({
+          type: 'array',
+          valueType: 'string',
+          length: 2,
+        });
+        expect(names.codec.fixedByteLength).to.be.false;
+        expect(names.stringify(['a', 'bc'])).to.equal('\x01a\x02bc');
+        expect(names.parse('\x01a\x02bc')).to.deep.equal(['a', 'bc']);
+
+        // Objects made up of fixed length arrays have a fixed length.
+        const transform = jettison.define('object', [
+          {key: 'id', type: 'uint8'},
+          {key: 'matrix', type: 'array', valueType: 'float32', length: 16},
+          {key: 'color', type: 'array', valueType: 'uint8', length: 4},
+        ]);
+        expect(transform.codec.fixedByteLength).to.be.true;
+        expect(transform.codec.byteLength).to.equal(69);
+
+        const strict = jettison.define(
+          {type: 'array', valueType: 'uint8', length: 2}, {strict: true});
+        expect(() => {
+          strict.stringify([1, 2, 3]);
+        }).to.throw(/expected 2 values, got 3/);
+      });
+
+      it('should allow typed arrays of numeric values', () => {
+        const fields = [
+          {key: 'id', type: 'uint8'},
+          {key: 'vertices', type: 'array', valueType: 'float32', typed: true},
+          {key: 'indices', type: 'array', valueType: 'uint16', typed: true},
+        ];
+        const value = {
+          id: 1,
+          vertices: new Float32Array([0.5, -1, 2]),
+          indices: new Uint16Array([0, 258, 2]),
+        };
+        const bigEndian = jettison.define({type: 'object', fields: fields});
+        const littleEndian = jettison.define({type: 'object', fields: fields},
+                                             {littleEndian: true});
+        const plain = jettison.define({type: 'object', fields: [
+          {key: 'id', type: 'uint8'},
+          {key: 'vertices', type: 'array', valueType: 'float32'},
+          {key: 'indices', type: 'array', valueType: 'uint16'},
+        ]});
+        expect(bigEndian.toJSON().codec.fields[1].typed).to.be.true;
+
+        // The encoding is the same as for plain arrays.
+        const string = bigEndian.stringify(value);
+        expect(string).to.equal(plain.stringify({
+          id: 1,
+          vertices: [0.5, -1, 2],
+          indices: [0, 258, 2],
+        }));
+        expect(bigEndian.stringify({
+          id: 1,
+          vertices: [0.5, -1, 2],
+          indices: [0, 258, 2],
+        })).to.equal(string);
+
+        let decoded = bigEndian.parse(string);
+        expect(decoded.vertices).to.be.an.instanceof(Float32Array);
+        expect(decoded.indices).to.be.an.instanceof(Uint16Array);
+        expect(decoded).to.deep.equal(value);
+
+        decoded = littleEndian.decode(littleEndian.encode(value));
+        expect(decoded.vertices).to.be.an.instanceof(Float32Array);
+        expect(decoded).to.deep.equal(value);
+
+        // Aligned values are decoded without copying them.
+        const matrix = jettison.define('array', 'float32',
+                                       {length: 4, typed: true});
+        const buffer = jettison.define(
+          {type: 'array', valueType: 'float32', length: 4, typed: true},
+          {littleEndian: true}).encode(new Float32Array([1, 2, 3, 4]));
+        decoded = jettison.define(matrix.codec, {littleEndian: true})
+          .decode(buffer);
+        expect(decoded).to.deep.equal(new Float32Array([1, 2, 3, 4]));
+        if (!withPolyfills) {
+          expect(decoded.buffer).to.equal(buffer);
+        }
+        expect(matrix.decode(matrix.encode(decoded)))
+          .to.deep.equal(new Float32Array([1, 2, 3, 4]));
+
+        expect(() => {
+          jettison.define('array', 'string', {typed: true});
+        }).to.throw(/Typed arrays are not supported for 'string' values/);
+      });
+
+      it('should allow tuples', () => {
+        const definition = jettison.define('tuple',
+                                           ['uint16', 'float32', 'string']);
+        expect(definition.codec.fixedByteLength).to.be.false;
+        const string = definition.stringify([258, 0.5, 'a']);
+        expect(string).to.equal('\x01\x02\x3f\x00\x00\x00\x01a');
+        expect(definition.parse(string)).to.deep.equal([258, 0.5, 'a']);
+        expect(() => {
+          definition.stringify([1, 0.5]);
+        }).to.throw(/Expected a tuple of length 3, got 2/);
+        expect(() => {
+          jettison.define('tuple', []);
+        }).to.throw(/valueTypes must be a non-empty array/);
+
+        const object = jettison.define('object', [
+          {key: 'pos', type: 'tuple', valueTypes: ['int8', 'int16']},
+          {key: 'pair', type: 'tuple', valueTypes: [
+            'boolean', {type: 'array', valueType: 'uint8', length: 2},
+          ]},
+        ]);
+        expect(object.codec.fixedByteLength).to.be.true;
+        expect(object.codec.byteLength).to.equal(6);
+        const value = {pos: [-1, 2], pair: [true, [3, 4]]};
+        expect(object.parse(object.stringify(value))).to.deep.equal(value);
+        const schema = jettison.createSchema();
+        schema.define('object', object.toJSON().codec);
+        expect(jettison.loadSchema(JSON.stringify(schema))
+          .definitions.object.codec.toJSON())
+          .to.deep.equal(object.codec.toJSON());
+      });
+
+      it('should allow unions of several variants', () => {
+        const variants = [
+          {key: 'move', type: 'object', fields: [
+            {key: 'x', type: 'int16'},
+            {key: 'y', type: 'int16'},
+          ]},
+          {key: 'attack', type: 'object', fields: [
+            {key: 'target', type: 'uint32'},
+          ]},
+          {key: 'chat', type: 'string'},
+        ];
+        const definition = jettison.define('union', variants);
+        expect(definition.codec.fixedByteLength).to.not.be.ok;
+
+        let value = {type: 'move', value: {x: 1, y: -1}};
+        let string = definition.stringify(value);
+        expect(string).to.equal('\x00\x00\x01\xff\xff');
+        expect(definition.parse(string)).to.deep.equal(value);
+        value = {type: 'chat', value: 'hi'};
+        expect(definition.parse(definition.stringify(value)))
+          .to.deep.equal(value);
+        expect(() => {
+          definition.stringify({type: 'jump', value: {}});
+        }).to.throw(/Invalid union variant 'jump'/);
+        expect(() => {
+          definition.parse('\x03');
+        }).to.throw(jettison.DecodeError, /Invalid enum index 3/);
+        expect(() => {
+          definition.parse('\x01\x00');
+        }).to.throw(jettison.DecodeError, /value.target: Unexpected end/);
+
+        // With a discriminator, the variant is stored in the object itself.
+        const commands = jettison.define('array', {
+          type: 'union',
+          discriminator: 'kind',
+          variants: variants.slice(0, 2),
+        });
+        value = [{kind: 'attack', target: 5}, {kind: 'move', x: 2, y: 3}];
+        string = commands.stringify(value);
+        expect(string).to.equal(
+          '\x02\x01\x00\x00\x00\x05\x00\x00\x02\x00\x03');
+        expect(commands.parse(string)).to.deep.equal(value);
+        const schema = jettison.createSchema();
+        schema.define('commands', commands.toJSON().codec);
+        expect(jettison.loadSchema(JSON.stringify(schema))
+          .parse('\x01' + string).data).to.deep.equal(value);
+
+        expect(() => {
+          jettison.define('union', variants, {discriminator: 'kind'});
+        }).to.throw(/'chat' must be an object to use a discriminator/);
+        expect(() => {
+          jettison.define('union', [
+            {key: 'a', type: 'object', fields: [{key: 'kind', type: 'uint8'}]},
+          ], {discriminator: 'kind'});
+        }).to.throw(/'a' has a field named 'kind'/);
+        expect(() => {
+          jettison.define('union', [
+            {key: 'a', type: 'uint8'},
+            {key: 'a', type: 'string'},
+          ]);
+        }).to.throw(/Duplicate union variant 'a'/);
+
+        const strict = jettison.define({type: 'union', variants: variants},
+                                       {strict: true});
+        expect(() => {
+          strict.stringify({type: 'move', value: {x: 1}});
+        }).to.throw(jettison.ValidationError, /value.y: value is required/);
+        expect(() => {
+          strict.stringify({type: 'fly', value: {}});
+        }).to.throw(jettison.ValidationError, /type: invalid union variant/);
+      });
+
+      it('should allow maps with string or integer keys', () => {
+        const scores = jettison.define('map', {
+          keyType: 'uint16',
+          valueType: 'int32',
+        });
+        let string = scores.stringify({1: 10, 258: -1});
+        expect(string).to.equal(
+          '\x02\x00\x01\x00\x00\x00\x0a\x01\x02\xff\xff\xff\xff');
+        expect(scores.parse(string)).to.deep.equal({1: 10, 258: -1});
+        expect(scores.stringify(new Map([[1, 10], [258, -1]])))
+          .to.equal(string);
+        expect(scores.parse(scores.stringify({}))).to.deep.equal({});
+
+        const names = jettison.define({
+          type: 'map',
+          keyType: 'string',
+          valueType: {type: 'array', valueType: 'uint8'},
+          asMap: true,
+        });
+        expect(names.toJSON().codec).to.deep.equal({
+          type: 'map',
+          keyType: {type: 'string'},
+          valueType: {type: 'array', valueType: {type: 'uint8'}},
+          asMap: true,
+        });
+        let value = names.parse(names.stringify({a: [1], bc: [2, 3]}));
+        expect(value).to.be.an.instanceof(Map);
+        expect(Array.from(value.entries()))
+          .to.deep.equal([['a', [1]], ['bc', [2, 3]]]);
+
+        // Keys from the data can't replace an object's prototype.
+        const plain = jettison.define('map', {
+          keyType: 'string',
+          valueType: 'uint8',
+        });
+        value = plain.parse('\x01\x09__proto__\x05');
+        expect(Object.getPrototypeOf(value)).to.equal(Object.prototype);
+        expect(Object.keys(value)).to.deep.equal(['__proto__']);
+
+        expect(() => {
+          scores.parse('\x01\x00\x07\x00');
+        }).to.throw(jettison.DecodeError, /\[7\]: Unexpected end of data/);
+        expect(() => {
+          jettison.define('map', {keyType: 'float32', valueType: 'uint8'});
+        }).to.throw(/Map keys must be strings or integers, not 'float32'/);
+        expect(() => {
+          jettison.define('map', {keyType: 'string'});
+        }).to.throw(/Invalid map value type 'undefined'/);
+
+        // Keys aren't clamped, because different keys could collide.
+        const small = jettison.define('map', {
+          keyType: 'uint8',
+          valueType: 'uint8',
+        });
+        expect(() => {
+          small.stringify({255: 1, 256: 2});
+        }).to.throw(RangeError, /Invalid map key '256': 256 is out of range/);
+        expect(() => {
+          small.stringify({1.5: 1});
+        }).to.throw(RangeError, /'1.5': 1.5 is not an integer/);
+        expect(() => {
+          small.stringify(new Map([['a', 1]]));
+        }).to.throw(RangeError, /'a': expected a number/);
+        expect(() => {
+          plain.stringify(new Map([[1, 1]]));
+        }).to.throw(RangeError, /Invalid map key '1'/);
+        expect(() => {
+          small.parse('\x02\x01\x05\x01\x06');
+        }).to.throw(jettison.DecodeError, /Duplicate map key '1'/);
+        expect(() => {
+          names.parse('\x02\x01a\x00\x01a\x00');
+        }).to.throw(jettison.DecodeError, /Duplicate map key 'a'/);
+
+        // Any integer type can be used for keys.
+        const ids = jettison.define('map', {
+          keyType: 'uint64',
+          valueType: 'uint8',
+        });
+        expect(ids.parse(ids.stringify({9007199254740991: 1})))
+          .to.deep.equal({9007199254740991: 1});
+        const bigIds = jettison.define('map', {
+          keyType: 'bigUint64',
+          valueType: 'uint8',
+          asMap: true,
+        });
+        value = bigIds.parse(bigIds.stringify({'18446744073709551615': 2}));
+        expect(value.get(BigInt('18446744073709551615'))).to.equal(2);
+        expect(() => {
+          bigIds.stringify({'-1': 2});
+        }).to.throw(RangeError, /'-1': -1 is out of range/);
+        const nibbles = jettison.define('map', {
+          keyType: {type: 'bitUint', bits: 4},
+          valueType: 'uint8',
+        });
+        expect(nibbles.parse(nibbles.stringify({15: 3})))
+          .to.deep.equal({15: 3});
+        expect(() => {
+          nibbles.stringify({16: 3});
+        }).to.throw(RangeError, /'16': 16 is out of range/);
+
+        const strict = jettison.define(scores.codec, {strict: true});
+        expect(() => {
+          strict.stringify({abc: 1});
+        }).to.throw(jettison.ValidationError, /\[abc\]: expected a number/);
+        expect(() => {
+          strict.stringify({1: 1.5});
+        }).to.throw(jettison.ValidationError, /\[1\]: 1.5 is not an integer/);
+      });
+
+      it('should allow quantized fields', () => {
+        const definition = jettison.define('object', [
+          {key: 'x', type: 'quantized', min: -500, max: 500, precision: 0.01},
+          {key: 'angle', type: 'quantized', min: 0, max: 360, bits: 8},
+        ]);
+        expect(definition.codec.fixedByteLength).to.be.true;
+        expect(definition.codec.byteLength).to.equal(4);
+        expect(definition.toJSON().codec.fields).to.deep.equal([
+          {key: 'x', type: 'quantized', min: -500, max: 500, precision: 0.01},
+          {key: 'angle', type: 'quantized', min: 0, max: 360, bits: 8},
+        ]);
+        const value = definition.parse(
+          definition.stringify({x: 123.456, angle: 90}));
+        expect(Math.abs(value.x - 123.46)).to.be.lessThan(1e-9);
+        expect(Math.abs(value.angle - 90)).to.be.lessThan(360 / 255 / 2);
+
+        const strict = jettison.define(definition.codec, {strict: true});
+        expect(() => {
+          strict.stringify({x: 501, angle: 0});
+        }).to.throw(jettison.ValidationError, /x: 501 is out of range/);
+        expect(() => {
+          strict.stringify({x: 0, angle: 'up'});
+        }).to.throw(jettison.ValidationError, /angle: expected a number/);
+      });
+
+      it('should pack fields on bit boundaries', () => {
+        const fields = [
+          {key: 'id', type: 'uint8'},
+          {key: 'alive', type: 'boolean'},
+          {key: 'team', type: 'enum', values: ['red', 'blue', 'green']},
+          {key: 'health', type: 'bitUint', bits: 7},
+          {key: 'name', type: 'string'},
+          {key: 'angle', type: 'quantized', min: 0, max: 360, bits: 9},
+          {key: 'shield', type: 'bitInt', bits: 4, optional: true},
+        ];
+        const definition = jettison.define('object', fields, {packed: true});
+        expect(definition.codec.packed).to.be.true;
+        expect(definition.toJSON().codec.packed).to.be.true;
+
+        // The presence flag and the packed fields take up 32 bits, and the
+        // string follows them.
+        const value = {
+          id: 200,
+          alive: true,
+          team: 'green',
+          health: 100,
+          name: 'ab',
+          angle: 360,
+          shield: -2,
+        };
+        let string = definition.stringify(value);
+        expect(string).to.equal('\xe4\x6c\x9f\xfe\x02ab');
+        expect(definition.parse(string)).to.deep.equal(value);
+        expect(jettison.define('object', fields).stringify(value).length)
+          .to.equal(11);
+        expect(jettison.define(definition.codec, {littleEndian: true})
+               .stringify(value)).to.equal(string);
+
+        delete value.shield;
+        string = definition.stringify(value);
+        expect(string).to.equal('\x64\x6c\x9f\xf0\x02ab');
+        expect(definition.parse(string)).to.deep.equal(value);
+
+        const next = {
+          id: 200,
+          alive: false,
+          team: 'red',
+          health: 100,
+          name: 'ab',
+          angle: 0,
+        };
+        expect(definition.parseDelta(value,
+          definition.stringifyDelta(value, next))).to.deep.equal(next);
+
+        expect(() => {
+          definition.parse('\xe4\x6c\x9f');
+        }).to.throw(jettison.DecodeError,
+                    /angle: Unexpected end of data at byte 3/);
+        expect(() => {
+          definition.parse('\xe4\x7c\x9f\xfe\x02ab');
+        }).to.throw(jettison.DecodeError,
+                    /team: Invalid enum index 3 at byte 1/);
+
+        // Objects of fixed length fields have a fixed length when packed.
+        const flags = jettison.define({
+          type: 'object',
+          packed: true,
+          fields: [
+            {key: 'a', type: 'boolean'},
+            {key: 'b', type: 'bitUint', bits: 3},
+            {key: 'c', type: 'boolean'},
+          ],
+        });
+        expect(flags.codec.fixedByteLength).to.be.true;
+        expect(flags.codec.byteLength).to.equal(1);
+        expect(flags.stringify({a: true, b: 5, c: true})).to.equal('\xd8');
+        const array = jettison.define('array', flags.codec);
+        expect(array.parse(array.stringify([
+          {a: true, b: 5, c: false},
+          {a: false, b: 2, c: true},
+        ]))).to.deep.equal([
+          {a: true, b: 5, c: false},
+          {a: false, b: 2, c: true},
+        ]);
+
+        expect(() => {
+          jettison.define('object', fields, {packed: true, extensible: true});
+        }).to.throw(/Packed objects can't be extensible/);
+      });
+
+      it('should encode deltas between objects', () => {
+        const definition = jettison.define('object', [
+          {key: 'id', type: 'uint8'},
+          {key: 'x', type: 'int16'},
+          {key: 'name', type: 'string', optional: true},
+          {key: 'points', type: 'array', valueType: 'uint8'},
+        ]);
+        const prev = {id: 1, x: 5, name: 'a', points: [1, 2]};
+        const next = {id: 1, x: 6, points: [1, 2]};
+
+        let streamView = StreamView.create(
+          definition.codec.getDeltaByteLength(prev, next));
+        definition.codec.setDelta(streamView, prev, next);
+        expect(streamView.toArray()).to.deep.equal([6, 0, 0, 6]);
+
+        let value = definition.parseDelta(
+          prev, definition.stringifyDelta(prev, next));
+        expect(value).to.deep.equal(next);
+        expect(value.points).to.equal(prev.points);
+        expect(prev.name).to.equal('a');
+
+        // Nothing changed, so only the change flags are written.
+        expect(definition.stringifyDelta(next, next).length).to.equal(1);
+        value = definition.decodeDelta(
+          next, definition.encodeDelta(next, next));
+        expect(value).to.deep.equal(next);
+
+        // Without a previous object, all the fields are written.
+        value = definition.parseDelta(
+          null, definition.stringifyDelta(null, prev));
+        expect(value).to.deep.equal(prev);
+
+        // Maps are compared by their entries.
+        const scores = jettison.define('object', [
+          {key: 'scores', type: 'map', keyType: 'string', valueType: 'uint8',
+           asMap: true},
+        ]);
+        const prevScores = {scores: new Map([['a', 1]])};
+        const nextScores = {scores: new Map([['a', 2]])};
+        value = scores.parseDelta(
+          prevScores, scores.stringifyDelta(prevScores, nextScores));
+        expect(value.scores.get('a')).to.equal(2);
+        expect(scores.stringifyDelta(
+          prevScores, {scores: new Map([['a', 1]])}).length).to.equal(1);
+        value = scores.parseDelta(prevScores, scores.stringifyDelta(
+          prevScores, {scores: new Map([['a', 1], ['b', 3]])}));
+        expect(value.scores.get('b')).to.equal(3);
+
+        expect(() => {
+          jettison.define('array', 'uint8').stringifyDelta([], [1]);
+        }).to.throw(/only supported for object/);
+      });
+
+      it('should allow fields to be added to extensible objects', () => {
+        const oldFields = [
+          {key: 'id', type: 'uint8'},
+          {key: 'x', type: 'int16'},
+        ];
+        const newFields = oldFields.concat([
+          {key: 'name', type: 'string', optional: true},
+          {key: 'hp', type: 'uint8', default: 100},
+        ]);
+        const oldDefinition = jettison.define('object', oldFields,
+                                              {extensible: true});
+        const newDefinition = jettison.define({
+          type: 'object',
+          fields: newFields,
+          extensible: true,
+        });
+        expect(oldDefinition.codec.extensible).to.be.true;
+        expect(oldDefinition.codec.fixedByteLength).to.be.false;
+        expect(newDefinition.toJSON().codec.extensible).to.be.true;
+        expect(newDefinition.toJSON().codec.fields[3].default).to.equal(100);
+
+        // Old packets get the defaults for missing trailing fields.
+        let string = oldDefinition.stringify({id: 1, x: 2});
+        expect(string).to.equal('\x02\x04\x03\x01\x00\x02');
+        expect(newDefinition.parse(string))
+          .to.deep.equal({id: 1, x: 2, hp: 100});
+
+        // New packets have their unknown trailing fields skipped.
+        string = newDefinition.stringify({id: 1, x: 2, name: 'a', hp: 5});
+        expect(string).to.equal('\x04\x07\x0f\x01\x00\x02\x01a\x05');
+        expect(oldDefinition.parse(string)).to.deep.equal({id: 1, x: 2});
+        expect(newDefinition.parse(string))
+          .to.deep.equal({id: 1, x: 2, name: 'a', hp: 5});
+
+        // Skipping has to leave the stream at the end of the object.
+        const oldArray = jettison.define('array', oldDefinition.codec);
+        const newArray = jettison.define('array', newDefinition.codec);
+        expect(oldArray.parse(newArray.stringify([
+          {id: 1, x: 2, hp: 3},
+          {id: 4, x: 5, name: 'b', hp: 6},
+        ]))).to.deep.equal([{id: 1, x: 2}, {id: 4, x: 5}]);
+
+        // Deltas work in both directions, too.
+        const prev = {id: 1, x: 2, hp: 3};
+        expect(oldDefinition.parseDelta({id: 1, x: 2},
+          newDefinition.stringifyDelta(prev, {id: 1, x: 3, name: 'c', hp: 4})))
+          .to.deep.equal({id: 1, x: 3});
+        expect(newDefinition.parseDelta(prev,
+          oldDefinition.stringifyDelta({id: 1, x: 2}, {id: 1, x: 3})))
+          .to.deep.equal({id: 1, x: 3, hp: 3});
+        expect(newDefinition.parseDelta(null,
+          oldDefinition.stringifyDelta(null, {id: 1, x: 3})))
+          .to.deep.equal({id: 1, x: 3, hp: 100});
+      });
+
+      it('should save BigInt defaults to JSON', () => {
+        const schema = jettison.createSchema();
+        schema.define('account', {
+          type: 'object',
+          extensible: true,
+          fields: [
+            {key: 'id', type: 'uint8'},
+            {key: 'balance', type: 'bigInt64',
+             default: BigInt('-9223372036854775808')},
+          ],
+        });
+        const json = JSON.parse(JSON.stringify(schema));
+        expect(json.definitions[0].codec.fields[1].default)
+          .to.equal('-9223372036854775808');
+        expect(schema.fingerprint()).to.match(/^[0-9a-f]{8}$/);
+        expect(schema.stringifyHandshake().length).to.equal(5);
+
+        const loaded = jettison.loadSchema(json);
+        expect(loaded.toJSON()).to.deep.equal(json);
+        expect(loaded.fingerprint()).to.equal(schema.fingerprint());
+        const field = loaded.definitions.account.codec.fields[1];
+        expect(field.default).to.equal(BigInt('-9223372036854775808'));
+
+        // Older packets without the field get the BigInt default.
+        const old = jettison.define({
+          type: 'object',
+          extensible: true,
+          fields: [{key: 'id', type: 'uint8'}],
+        });
+        expect(loaded.definitions.account.parse(old.stringify({id: 1})))
+          .to.deep.equal({id: 1, balance: BigInt('-9223372036854775808')});
+
+        expect(() => {
+          jettison.define('object', [
+            {key: 'id', type: 'uint64', default: BigInt(1)},
+          ]);
+        }).to.throw(/BigInt defaults are only supported for bigInt64/);
+      });
+
+      it('should throw decode errors for bad data', () => {
+        const definition = jettison.define('object', [
+          {key: 'id', type: 'uint8'},
+          {key: 'kind', type: 'enum', values: ['a', 'b']},
+          {key: 'names', type: 'array', valueType: 'string'},
+          {key: 'points', type: 'array', valueType: 'float32'},
+        ]);
+        const string = definition.stringify({
+          id: 1,
+          kind: 'b',
+          names: ['ab', 'cd'],
+          points: [],
+        });
+        expect(string).to.equal('\x01\x01\x02\x02ab\x02cd\x00');
+
+        let error = null;
+        try {
+          definition.parse(string.slice(0, 8));
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.an.instanceof(jettison.DecodeError);
+        expect(error).to.be.an.instanceof(Error);
+        expect(error.byteOffset).to.equal(7);
+        expect(error.path).to.equal('names[1]');
+        expect(error.key).to.be.null;
+        expect(error.message).to.equal(
+          'names[1]: Unexpected end of data at byte 7');
+
+        // Errors from the codecs are converted, too.
+        expect(() => {
+          definition.parse('\x01\x05\x00\x00');
+        }).to.throw(jettison.DecodeError, /kind: Invalid enum index 5/);
+
+        // Huge lengths fail before anything is allocated.
+        expect(() => {
+          definition.parse('\x01\x00\x00\xff\xff\xff\xff\x0f');
+        }).to.throw(jettison.DecodeError, /points: Unexpected end of data/);
+
+        // Values that take up no bytes can't run away like that, because
+        // they're only allowed in fixed length arrays.
+        const empty = {type: 'object', fields: []};
+        expect(() => {
+          jettison.define({type: 'array', valueType: empty});
+        }).to.throw(/Array values must take up at least one byte/);
+        expect(() => {
+          jettison.define({type: 'array', valueType: {
+            type: 'array', valueType: 'uint8', length: 0}});
+        }).to.throw(/Array values must take up at least one byte/);
+        const pairs = jettison.define({
+          type: 'array',
+          valueType: empty,
+          length: 2,
+        });
+        expect(pairs.codec.byteLength).to.equal(0);
+        expect(pairs.parse('')).to.deep.equal([{}, {}]);
+        const none = jettison.define({
+          type: 'array',
+          valueType: 'string',
+          length: 0,
+        });
+        expect(none.codec.fixedByteLength).to.be.true;
+        expect(none.codec.byteLength).to.equal(0);
+
+        expect(() => {
+          definition.parse(string + '\x00\x00');
+        }).to.throw(jettison.DecodeError, /Unexpected 2 trailing bytes/);
+        const lenient = jettison.define(definition.codec,
+                                        {allowTrailingBytes: true});
+        expect(lenient.parse(string + '\x00\x00'))
+          .to.deep.equal(definition.parse(string));
+      });
+
+      it('should enforce decoding limits', () => {
+        const fields = [
+          {key: 'name', type: 'string'},
+          {key: 'flags', type: 'booleanArray'},
+          {key: 'children', type: 'array', valueType: {
+            type: 'array', valueType: 'uint8'}},
+        ];
+        const value = {name: 'abcd', flags: [true, false], children: [[1]]};
+        const string = jettison.define({type: 'object', fields: fields})
+          .stringify(value);
+        const define = (options) => {
+          return jettison.define({type: 'object', fields: fields}, options);
+        };
+        expect(define({
+          maxArrayLength: 2,
+          maxStringByteLength: 4,
+          maxDepth: 3,
+        }).parse(string)).to.deep.equal(value);
+        expect(() => {
+          define({maxStringByteLength: 3}).parse(string);
+        }).to.throw(jettison.DecodeError,
+                    /name: String byte length 4 exceeds maxStringByteLength/);
+        expect(() => {
+          define({maxArrayLength: 1}).parse(string);
+        }).to.throw(jettison.DecodeError,
+                    /flags: Array length 2 exceeds maxArrayLength \(1\)/);
+        expect(() => {
+          define({maxDepth: 2}).parse(string);
+        }).to.throw(jettison.DecodeError,
+                    /children\[0\]: Depth 3 exceeds maxDepth/);
+        expect(() => {
+          define({maxDepth: -1});
+        }).to.throw(/maxDepth must be a non-negative number/);
+      });
+
+      it('should encode values with either byte order', () => {
+        const fields = [
+          {key: 'a', type: 'int16'},
+          {key: 'b', type: 'uint32'},
+          {key: 'c', type: 'float32'},
+          {key: 'd', type: 'array', valueType: 'uint16'},
+          {key: 'e', type: 'object', fields: [{key: 'f', type: 'int64'}]},
+          {key: 'g', type: 'varint'},
+          {key: 'h', type: 'string'},
+        ];
+        const value = {
+          a: -2,
+          b: 0x01020304,
+          c: 1,
+          d: [0x0102],
+          e: {f: 258},
+          g: -1,
+          h: 'a',
+        };
+        const bigEndian = jettison.define({type: 'object', fields: fields});
+        expect(bigEndian.littleEndian).to.be.false;
+        expect(Array.prototype.slice.call(bigEndian.encode(value,
+                                                           'uint8array')))
+          .to.deep.equal([
+            255, 254,
+            1, 2, 3, 4,
+            63, 128, 0, 0,
+            1, 1, 2,
+            0, 0, 0, 0, 0, 0, 1, 2,
+            1,
+            1, 97,
+          ]);
+        expect(bigEndian.decode(bigEndian.encode(value)))
+          .to.deep.equal(value);
+
+        const littleEndian = jettison.define({type: 'object', fields: fields},
+                                             {littleEndian: true});
+        expect(littleEndian.littleEndian).to.be.true;
+        expect(Array.prototype.slice.call(littleEndian.encode(value,
+                                                              'uint8array')))
+          .to.deep.equal([
+            254, 255,
+            4, 3, 2, 1,
+            0, 0, 128, 63,
+            1, 2, 1,
+            2, 1, 0, 0, 0, 0, 0, 0,
+            1,
+            1, 97,
+          ]);
+        expect(littleEndian.decode(littleEndian.encode(value)))
+          .to.deep.equal(value);
+        expect(littleEndian.parseDelta(value, littleEndian.stringifyDelta(
+          value, {a: 1, b: 2, c: 1, d: [3], e: {f: 4}, g: 5, h: 'a'})))
+          .to.deep.equal({a: 1, b: 2, c: 1, d: [3], e: {f: 4}, g: 5, h: 'a'});
+      });
+
+      it('should validate values in strict mode', () => {
+        const fields = [
+          {key: 'id', type: 'uint8'},
+          {key: 'alive', type: 'boolean'},
+          {key: 'kind', type: 'enum', values: ['a', 'b']},
+          {key: 'name', type: 'string', optional: true},
+          {key: 'points', type: 'array', valueType: 'float32'},
+          {key: 'pos', type: 'object', fields: [
+            {key: 'x', type: 'varint'},
+          ]},
+        ];
+        const definition = jettison.define({type: 'object', fields: fields},
+                                           {strict: true});
+        expect(definition.strict).to.be.true;
+        const value = {
+          id: 1,
+          alive: true,
+          kind: 'a',
+          points: [0.5],
+          pos: {x: -1},
+        };
+        expect(definition.parse(definition.stringify(value)))
+          .to.deep.equal(value);
+
+        function expectInvalid(changes, path, message) {
+          let invalidValue = JSON.parse(JSON.stringify(value));
+          Object.keys(changes).forEach((key) => {
+            invalidValue[key] = changes[key];
+          });
+          let error;
+          try {
+            definition.stringify(invalidValue);
+          } catch (e) {
+            error = e;
+          }
+          expect(error).to.be.an.instanceof(jettison.ValidationError);
+          expect(error).to.be.an.instanceof(Error);
+          expect(error.path).to.equal(path);
+          expect(error.message).to.match(message);
+        }
+
+        expectInvalid({id: 300}, 'id', /^id: 300 is out of range$/);
+        expectInvalid({id: 1.5}, 'id', /not an integer/);
+        expectInvalid({id: NaN}, 'id', /expected a number/);
+        expectInvalid({id: '1'}, 'id', /expected a number/);
+        expectInvalid({id: undefined}, 'id', /value is required/);
+        expectInvalid({alive: 1}, 'alive', /expected a boolean/);
+        expectInvalid({kind: 'c'}, 'kind', /invalid enum value/);
+        expectInvalid({name: 5}, 'name', /expected a string/);
+        expectInvalid({points: [0.5, 1e39]}, 'points[1]', /out of range/);
+        expectInvalid({points: [0.5, NaN]}, 'points[1]', /expected a number/);
+        expectInvalid({pos: {x: 0.5}}, 'pos.x', /not an integer/);
+        expectInvalid({pos: {}}, 'pos.x', /value is required/);
+        expectInvalid({pos: [1]}, 'pos', /expected an object/);
+
+        // Without strict mode, values are clamped as usual.
+        const looseDefinition = jettison.define('object', fields);
+        expect(looseDefinition.strict).to.be.false;
+        const looseValue = looseDefinition.parse(looseDefinition.stringify({
+          id: 300,
+          alive: 1,
+          kind: 'a',
+          points: [],
+          pos: {x: 1.5},
+        }));
+        expect(looseValue.id).to.equal(255);
+        expect(looseValue.alive).to.be.true;
+        expect(looseValue.pos.x).to.equal(1);
+      });
+
+      it('should require a value type for nested arrays', () => {
+        expect(() => {
+          jettison.define('object', [
+            {key: 'tiles', type: 'array', valueType: 'array'},
+          ]);
+        }).to.throw(/Invalid array value type/);
+        expect(() => {
+          jettison.define('object', [
+            {key: 'tiles', type: 'array', valueType: {type: 'bogus'}},
+          ]);
+        }).to.throw(/Invalid array value type/);
+      });
     });
 
     describe('schemas', () => {
@@ -343,6 +1765,411 @@ function describeJettison({withPolyfills}={}) {
         value = schema.parse(string);
         expect(value).to.deep.equal(expectedValue);
       });
+
+      it('should convert batches of packets', () => {
+        const packets = [
+          {key: 'position', data: {id: 1, x: 0.5, y: 1.5}},
+          {key: 'spawn', data: {
+            id: 2,
+            x: 0,
+            y: 1,
+            points: [0.25],
+            flags: [true],
+          }},
+          {key: 'position', data: {id: 3, x: -2, y: 4}},
+        ];
+        const string = schema.stringifyBatch(packets);
+        expect(typeof string).to.equal('string');
+
+        // The batch has a count, then each packet prefixed with its length.
+        const first = schema.stringify('position', packets[0].data);
+        expect(string.slice(0, 2 + first.length))
+          .to.equal('\x03' + String.fromCharCode(first.length) + first);
+        expect(schema.parseBatch(string)).to.deep.equal(packets);
+
+        expect(schema.decodeBatch(schema.encodeBatch(packets, 'nodebuffer')))
+          .to.deep.equal(packets);
+        expect(schema.parseBatch(schema.stringifyBatch([]))).to.deep.equal([]);
+
+        expect(() => {
+          schema.stringifyBatch({key: 'position'});
+        }).to.throw(/packets must be an array/);
+        expect(() => {
+          schema.stringifyBatch([{key: 'missing', data: {}}]);
+        }).to.throw(/'missing' is not defined in schema/);
+
+        // A packet can't read past its own length.
+        const truncated = '\x01\x02' + first;
+        expect(() => {
+          schema.parseBatch(truncated);
+        }).to.throw(jettison.DecodeError, /Unexpected end of data/);
+      });
+
+      it('should throw decode errors for bad packets', () => {
+        const string = schema.stringify('position', {id: 1, x: 2, y: 3});
+        let error = null;
+        try {
+          schema.parse(string.slice(0, 15));
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.an.instanceof(jettison.DecodeError);
+        expect(error.key).to.equal('position');
+        expect(error.path).to.equal('y');
+        expect(error.byteOffset).to.equal(13);
+        expect(error.message).to.equal(
+          'position.y: Unexpected end of data at byte 13');
+
+        expect(() => {
+          schema.parse('');
+        }).to.throw(jettison.DecodeError, /: Unexpected end of data at byte 0/);
+        expect(() => {
+          schema.parse('\x09');
+        }).to.throw(jettison.DecodeError, /'9' is not defined in schema/);
+        expect(() => {
+          schema.parse(string + '\x00');
+        }).to.throw(jettison.DecodeError, /position: Unexpected 1 trailing/);
+        expect(() => {
+          schema.parseBatch(schema.stringifyBatch([]) + '\x00');
+        }).to.throw(jettison.DecodeError, /Unexpected 1 trailing bytes/);
+
+        // Definitions inherit the schema's limits, and loadSchema() takes
+        // them as options because they aren't part of the descriptor.
+        const limited = jettison.loadSchema(JSON.stringify(schema),
+                                            {maxArrayLength: 1});
+        expect(limited.maxArrayLength).to.equal(1);
+        expect(limited.definitions.spawn.maxArrayLength).to.equal(1);
+        expect(() => {
+          limited.parse(schema.stringify('spawn', {
+            id: 1,
+            x: 0,
+            y: 0,
+            points: [1, 2],
+            flags: [],
+          }));
+        }).to.throw(jettison.DecodeError,
+                    /spawn.points: Array length 2 exceeds maxArrayLength/);
+        const lenient = jettison.createSchema({allowTrailingBytes: true});
+        lenient.define('position', schema.definitions.position.codec,
+                       {id: schema.definitions.position.id});
+        expect(lenient.parse(string + '\x00').data)
+          .to.deep.equal({id: 1, x: 2, y: 3});
+      });
+
+      it('should convert deltas to and from strings', () => {
+        const prev = {id: 1, x: 0.5, y: 1.5};
+        const next = {id: 1, x: 0.5, y: 2.5};
+        const string = schema.stringifyDelta('position', prev, next);
+        expect(string.length).to.equal(10);
+        expect(schema.parseDelta('position', prev, string)).to.deep.equal({
+          key: 'position',
+          data: next,
+        });
+        expect(schema.decodeDelta(
+          'position', prev, schema.encodeDelta('position', prev, next))
+        ).to.deep.equal({key: 'position', data: next});
+
+        expect(() => {
+          schema.parseDelta('spawn', prev, string);
+        }).to.throw(/Expected a 'spawn' packet/);
+      });
+
+      it('should validate values in strict mode', () => {
+        const strictSchema = jettison.createSchema({strict: true});
+        strictSchema.define('spawn', 'object', [
+          {key: 'id', type: 'int32'},
+          {key: 'points', type: 'array', valueType: 'int8'},
+        ]);
+        strictSchema.define('count', {type: 'uint8'}, {strict: false});
+        expect(() => {
+          strictSchema.stringify('spawn', {id: 1, points: [1, 2, 3, 128]});
+        }).to.throw(jettison.ValidationError, /spawn\.points\[3\]: /);
+        expect(() => {
+          strictSchema.stringifyDelta('spawn', {id: 1, points: []},
+                                      {id: 1, points: [-129]});
+        }).to.throw(jettison.ValidationError, /spawn\.points\[0\]: /);
+        expect(strictSchema.parse(strictSchema.stringify('count', 300)))
+          .to.deep.equal({key: 'count', data: 255});
+      });
+
+      it('should convert to and from JSON', () => {
+        const source = jettison.createSchema();
+        source.define('spawn', 'object', [
+          {key: 'id', type: 'uint32'},
+          {key: 'kind', type: 'enum', values: ['a', 'b']},
+          {key: 'name', type: 'string', optional: true},
+          {key: 'units', type: 'array', valueType: {type: 'object', fields: [
+            {key: 'pos', type: 'array', valueType: 'float32'},
+            {key: 'big', type: 'bigInt64'},
+          ]}},
+        ]);
+        source.define('messages', 'array', 'string');
+        source.define('count', {type: 'varuint'}, {strict: true});
+
+        const json = source.toJSON();
+        expect(json).to.deep.equal({
+          idType: 'uint8',
+          littleEndian: false,
+          strict: false,
+          definitions: [
+            {id: 1, key: 'spawn', codec: {type: 'object', fields: [
+              {key: 'id', type: 'uint32'},
+              {key: 'kind', type: 'enum', values: ['a', 'b']},
+              {key: 'name', type: 'string', optional: true},
+              {key: 'units', type: 'array', valueType: {
+                type: 'object',
+                fields: [
+                  {key: 'pos', type: 'array', valueType: {type: 'float32'}},
+                  {key: 'big', type: 'bigInt64'},
+                ],
+              }},
+            ]}},
+            {id: 2, key: 'messages', codec: {
+              type: 'array', valueType: {type: 'string'}}},
+            {id: 3, key: 'count', strict: true, codec: {type: 'varuint'}},
+          ],
+        });
+
+        const schema = jettison.loadSchema(JSON.stringify(source));
+        expect(schema.toJSON()).to.deep.equal(json);
+        expect(schema.definitions.count.strict).to.be.true;
+        const value = {
+          id: 1,
+          kind: 'b',
+          units: [{pos: [0.5, 1.5], big: BigInt(-5)}],
+        };
+        expect(schema.parse(source.stringify('spawn', value)))
+          .to.deep.equal({key: 'spawn', data: value});
+        expect(source.parse(schema.stringify('messages', ['a'])))
+          .to.deep.equal({key: 'messages', data: ['a']});
+      });
+
+      it('should allow explicit definition ids', () => {
+        const source = jettison.createSchema();
+        source.reserve(2, 3);
+        source.define('spawn', {type: 'object', fields: [
+          {key: 'id', type: 'uint8'},
+        ]}, {id: 10});
+        source.define('name', 'string');
+        source.define('count', 'uint8');
+        expect(source.definitions.spawn.id).to.equal(10);
+        expect(source.definitions.name.id).to.equal(1);
+        expect(source.definitions.count.id).to.equal(4);
+        expect(source.stringify('spawn', {id: 5})).to.equal('\x0a\x05');
+
+        expect(() => {
+          source.define('other', {type: 'string'}, {id: 10});
+        }).to.throw(/Definition id 10 is already used by 'spawn'/);
+        expect(() => {
+          source.define('other', {type: 'string'}, {id: 3});
+        }).to.throw(/Definition id 3 is reserved/);
+        expect(() => {
+          source.define('other', {type: 'string'}, {id: 256});
+        }).to.throw(RangeError, /too large for uint8 ids/);
+        expect(() => {
+          source.define('other', {type: 'string'}, {id: 0});
+        }).to.throw(/Invalid definition id '0'/);
+        expect(() => {
+          source.reserve(1);
+        }).to.throw(/already used by 'name'/);
+        expect(() => {
+          source.define('spawn', 'string');
+        }).to.throw(/'spawn' is already defined/);
+
+        const json = source.toJSON();
+        expect(json.reservedIds).to.deep.equal([2, 3]);
+        const schema = jettison.loadSchema(json);
+        expect(schema.toJSON()).to.deep.equal(json);
+        expect(schema.parse(source.stringify('spawn', {id: 5})))
+          .to.deep.equal({key: 'spawn', data: {id: 5}});
+        schema.define('other', 'string');
+        expect(schema.definitions.other.id).to.equal(5);
+
+        // Definition options can be mixed into a type name's codec options.
+        const move = schema.define('move', 'object', [
+          {key: 'x', type: 'uint16'},
+        ], {extensible: true, id: 7, littleEndian: true, strict: true});
+        expect(move.id).to.equal(7);
+        expect(move.littleEndian).to.be.true;
+        expect(move.strict).to.be.true;
+        expect(move.codec.extensible).to.be.true;
+        expect(schema.definitionsById[7]).to.equal(move);
+        expect(schema.define('level', 'uint8', {id: 9}).id).to.equal(9);
+        expect(jettison.define('array', {type: 'uint8'}).littleEndian)
+          .to.be.false;
+        expect(() => {
+          schema.define('duplicate', 'object', [], {id: 7});
+        }).to.throw(/Definition id 7 is already used by 'move'/);
+      });
+
+      it('should allow options to be passed to createSchema', () => {
+        expect(() => {
+          jettison.createSchema({idType: 'float32'});
+        }).to.throw(/Invalid id type 'float32'/);
+
+        const uint8Schema = jettison.createSchema();
+        for (let i = 1; i <= 255; i++) {
+          uint8Schema.define(`packet${i}`, 'uint8');
+        }
+        expect(() => {
+          uint8Schema.define('packet256', 'uint8');
+        }).to.throw(RangeError, /Definition id 256 is too large for uint8/);
+
+        const uint16Schema = jettison.createSchema({idType: 'uint16'});
+        uint16Schema.define('count', {type: 'uint8'}, {id: 256});
+        uint16Schema.define('big', {type: 'uint8'}, {id: 65535});
+        expect(uint16Schema.stringify('big', 1)).to.equal('\xff\xff\x01');
+        expect(uint16Schema.parse(uint16Schema.stringify('big', 1)))
+          .to.deep.equal({key: 'big', data: 1});
+
+        const varuintSchema = jettison.createSchema({idType: 'varuint'});
+        varuintSchema.define('small', 'uint8');
+        varuintSchema.define('big', {type: 'uint8'}, {id: 300});
+        expect(varuintSchema.stringify('small', 1)).to.equal('\x01\x01');
+        expect(varuintSchema.stringify('big', 1)).to.equal('\xac\x02\x01');
+        expect(varuintSchema.parse(varuintSchema.stringify('big', 1)))
+          .to.deep.equal({key: 'big', data: 1});
+        expect(varuintSchema.parse(varuintSchema.stringifyHandshake()).key)
+          .to.equal(null);
+
+        const littleEndianSchema = jettison.createSchema({
+          littleEndian: true,
+          strict: true,
+        });
+        const definition = littleEndianSchema.define('count', 'uint8');
+        expect(definition.littleEndian).to.be.true;
+        expect(definition.strict).to.be.true;
+      });
+
+      it('should encode schemas with either byte order', () => {
+        const littleEndianSchema = jettison.createSchema({
+          idType: 'uint16',
+          littleEndian: true,
+        });
+        littleEndianSchema.define('position', 'object', [
+          {key: 'x', type: 'int16'},
+          {key: 'y', type: 'int16'},
+        ]);
+        littleEndianSchema.define('count', {type: 'uint16'}, {
+          littleEndian: false,
+        });
+        expect(littleEndianSchema.stringify('position', {x: 1, y: -1}))
+          .to.equal('\x01\x00\x01\x00\xff\xff');
+        expect(littleEndianSchema.stringify('count', 1))
+          .to.equal('\x02\x00\x00\x01');
+        expect(littleEndianSchema.parse(
+          littleEndianSchema.stringify('position', {x: 1, y: -1})))
+          .to.deep.equal({key: 'position', data: {x: 1, y: -1}});
+        expect(littleEndianSchema.parse(
+          littleEndianSchema.stringify('count', 1)))
+          .to.deep.equal({key: 'count', data: 1});
+        expect(littleEndianSchema.parse(
+          littleEndianSchema.stringifyHandshake()).key).to.equal(null);
+
+        const json = littleEndianSchema.toJSON();
+        expect(json.littleEndian).to.be.true;
+        expect(json.definitions[0].littleEndian).to.be.true;
+        expect(json.definitions[1].littleEndian).to.be.undefined;
+        const loadedSchema = jettison.loadSchema(json);
+        expect(loadedSchema.toJSON()).to.deep.equal(json);
+        expect(loadedSchema.fingerprint())
+          .to.equal(littleEndianSchema.fingerprint());
+
+        const bigEndianSchema = jettison.createSchema({idType: 'uint16'});
+        bigEndianSchema.define('position', 'object', [
+          {key: 'x', type: 'int16'},
+          {key: 'y', type: 'int16'},
+        ]);
+        bigEndianSchema.define('count', 'uint16');
+        expect(bigEndianSchema.stringify('position', {x: 1, y: -1}))
+          .to.equal('\x00\x01\x00\x01\xff\xff');
+        expect(bigEndianSchema.fingerprint())
+          .to.not.equal(littleEndianSchema.fingerprint());
+      });
+
+      it('should fingerprint the layout of the schema', () => {
+        function createSchema(extraFields) {
+          const schema = jettison.createSchema();
+          schema.define('position', 'object', [
+            {key: 'id', type: 'int32'},
+            {key: 'x', type: 'float64'},
+          ].concat(extraFields));
+          schema.define('messages', 'array', 'string');
+          return schema;
+        }
+
+        const fingerprint = createSchema([]).fingerprint();
+        expect(fingerprint).to.match(/^[0-9a-f]{8}$/);
+        expect(createSchema([]).fingerprint()).to.equal(fingerprint);
+        expect(jettison.loadSchema(createSchema([]).toJSON()).fingerprint())
+          .to.equal(fingerprint);
+        expect(createSchema([{key: 'y', type: 'float64'}]).fingerprint())
+          .to.not.equal(fingerprint);
+
+        // Strict mode doesn't change the layout of packets.
+        const strictSchema = createSchema([]);
+        strictSchema.strict = true;
+        strictSchema.definitions.position.strict = true;
+        expect(strictSchema.fingerprint()).to.equal(fingerprint);
+
+        // Neither do options that only affect decoding, so only one side
+        // needs to set them.
+        function createDecodingSchema(options) {
+          const schema = jettison.createSchema();
+          schema.define('state', 'object', [
+            {key: 'points', type: 'array', valueType: 'float32',
+             typed: options.typed},
+            {key: 'scores', type: 'map', keyType: 'string',
+             valueType: 'uint8', asMap: options.asMap},
+          ]);
+          return schema;
+        }
+        const plainSchema = createDecodingSchema({});
+        const typedSchema = createDecodingSchema({typed: true, asMap: true});
+        expect(typedSchema.fingerprint()).to.equal(plainSchema.fingerprint());
+        expect(typedSchema.parse(plainSchema.stringifyHandshake()).key)
+          .to.equal(null);
+        expect(typedSchema.toJSON().definitions[0].codec.fields[0].typed)
+          .to.be.true;
+      });
+
+      it('should verify handshake packets', () => {
+        const otherSchema = jettison.loadSchema(schema.toJSON());
+        const string = schema.stringifyHandshake();
+        expect(string.length).to.equal(5);
+        expect(string.charCodeAt(0)).to.equal(0);
+        expect(otherSchema.parse(string)).to.deep.equal({
+          key: null,
+          data: {fingerprint: schema.fingerprint()},
+        });
+        expect(otherSchema.decode(schema.encodeHandshake()).key)
+          .to.equal(null);
+
+        otherSchema.define('extra', 'string');
+        expect(() => {
+          otherSchema.parse(string);
+        }).to.throw(/Schema mismatch: expected fingerprint [0-9a-f]{8}, got /);
+        expect(() => {
+          schema.parse(otherSchema.stringifyHandshake());
+        }).to.throw(/Schema mismatch/);
+      });
+
+      it('should convert to and from binary data', () => {
+        const expectedValue = {
+          key: 'position',
+          data: {
+            id: 1,
+            x: -123.456,
+            y: 7.89,
+          },
+        };
+        ['arraybuffer', 'uint8array', 'nodebuffer'].forEach((binaryType) => {
+          const data = schema.encode(expectedValue.key, expectedValue.data,
+                                     binaryType);
+          expect(data.byteLength).to.equal(21);
+          expect(schema.decode(data)).to.deep.equal(expectedValue);
+        });
+      });
     });
   });
 }